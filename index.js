@@ -1,36 +1,134 @@
-
+const { EventEmitter } = require('events');
 const MCPBridge = require('./src/mcp-bridge');
 const IsolatedSandbox = require('./src/isolated-sandbox');
 const Validator = require('./src/validator');
+const SafetyLinter = require('./src/safety-linter');
+const Session = require('./src/session');
 const ErrorMapper = require('./src/error-mapper');
+const { generateNamespacedDefinitions, assignNamespacePrefixes } = require('./src/schema-to-types');
+const ToolCallLimiter = require('./src/tool-call-limiter');
+const ToolCallTrace = require('./src/tool-call-trace');
+const { PermissionDenied } = require('./src/errors');
+const diagnostics = require('./src/diagnostics');
+
+/**
+ * A single server config is `{ command, args, env }` or `{ url, headers }`;
+ * anything else is treated as a map of namespace -> server config
+ */
+function isServerConfig(config) {
+  return typeof config.command === 'string' || typeof config.url === 'string';
+}
+
+/**
+ * Build a bridge `toolFilter` from `allowTools`/`denyTools`. Names are the
+ * server's tool names, qualified as `namespace.tool` for composed servers.
+ */
+function createToolFilter(namespace, { allowTools, denyTools }) {
+  if (!allowTools && !denyTools) return null;
 
-class MCPCodeMode {
+  const allow = allowTools ? new Set(allowTools) : null;
+  const deny = new Set(denyTools || []);
+  return tool => {
+    const name = namespace ? `${namespace}.${tool.name}` : tool.name;
+    return (!allow || allow.has(name)) && !deny.has(name);
+  };
+}
+
+/**
+ * Emits `toolsChanged` with `{ added, removed, changed }` when a server updates
+ * its tool list, and `toolsRefreshFailed` with `{ error }` when re-listing
+ * fails. Both carry `namespace` for composed servers.
+ */
+class MCPCodeMode extends EventEmitter {
   constructor(serverConfig, options = {}) {
-    this.bridge = new MCPBridge(serverConfig);
+    super();
+
+    // One server exposes its tools directly on `mcp`; several servers are
+    // composed under namespaces (`mcp.fs.read_file`, `mcp.github.create_issue`)
+    this.bridges = new Map();
+    this.toolResult = options.toolResult || 'parsed';
+    this.onToolCall = options.onToolCall || null;
+    const bridgeOptions = namespace => ({
+      toolResult: this.toolResult,
+      validateArgs: options.validateArgs,
+      toolFilter: createToolFilter(namespace, options)
+    });
+    if (isServerConfig(serverConfig)) {
+      this.namespaced = false;
+      this.bridge = new MCPBridge(serverConfig, bridgeOptions(''));
+      this.bridges.set('', this.bridge);
+    } else {
+      this.namespaced = true;
+      this.bridge = null;
+      for (const [namespace, config] of Object.entries(serverConfig)) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(namespace)) {
+          throw new Error(`Invalid server namespace '${namespace}': must be a valid identifier`);
+        }
+        this.bridges.set(namespace, new MCPBridge(config, bridgeOptions(namespace)));
+      }
+    }
 
     this.sandbox = new IsolatedSandbox({
       memoryLimit: options.memoryLimit || 128,
-      timeout: options.timeout || 5000
+      timeout: options.timeout || 5000,
+      maxResultSize: options.maxResultSize,
+      isolation: options.isolation,
+      poolSize: options.poolSize,
+      maxConcurrentExecutions: options.maxConcurrentExecutions
     });
 
     this.validateTypes = options.validateTypes !== false;
     this.validator = this.validateTypes ? new Validator() : null;
+    // Static safety checks on the code before anything runs
+    this.linter = options.lint !== false ? new SafetyLinter({ rules: options.lintRules }) : null;
+    // Reject `mcp[name]` and other tool access that cannot be checked statically
+    this.strictToolUsage = options.strictToolUsage === true;
     this.errorMapper = new ErrorMapper();
 
+    this.sessions = new Set();
+
     this.connected = false;
     this.typeDefinitions = '';
     this.availableTools = [];
+    this.deniedTools = new Map();
+    this.toolDescriptions = [];
+
+    for (const [namespace, bridge] of this.bridges) {
+      bridge.on('toolsChanged', diff => {
+        this.refreshTypes();
+        this.emit('toolsChanged', this.namespaced ? { namespace, ...diff } : diff);
+      });
+      bridge.on('toolsRefreshFailed', event => {
+        this.emit('toolsRefreshFailed', this.namespaced ? { namespace, ...event } : event);
+      });
+    }
   }
 
   async connect() {
-    await this.bridge.connect();
-    this.typeDefinitions = this.bridge.getTypeDefinitions();
-    this.availableTools = this.bridge.getTools().map(t => t.name);
+    try {
+      await Promise.all([...this.bridges.values()].map(bridge => bridge.connect()));
+    } catch (error) {
+      await Promise.all([...this.bridges.values()].map(bridge => bridge.disconnect()));
+      throw error;
+    }
+    this.refreshTypes();
+    await this.sandbox.warm();
     this.connected = true;
   }
 
+  /**
+   * Snapshot definitions and tool names used for validation
+   */
+  refreshTypes() {
+    this.typeDefinitions = this.getTypeDefinitions();
+    this.availableTools = this.getToolIdentifiers();
+    this.deniedTools = this.getDeniedTools();
+    this.toolDescriptions = this.describeTools();
+  }
+
   async disconnect() {
-    await this.bridge.disconnect();
+    await Promise.all([...this.sessions].map(session => session.dispose()));
+    await Promise.all([...this.bridges.values()].map(bridge => bridge.disconnect()));
     if (this.sandbox && this.sandbox.dispose) {
       await this.sandbox.dispose();
     }
@@ -38,81 +136,371 @@ class MCPCodeMode {
   }
 
   getTypeDefinitions() {
-    return this.bridge.getTypeDefinitions();
+    if (!this.namespaced) {
+      return this.bridge.getTypeDefinitions();
+    }
+
+    const serversByNamespace = {};
+    for (const [namespace, bridge] of this.bridges) {
+      serversByNamespace[namespace] = bridge.getCatalog();
+    }
+    return generateNamespacedDefinitions(serversByNamespace, { toolResult: this.toolResult });
   }
 
+  /**
+   * Get available tools; in namespaced mode each tool carries its `namespace`
+   */
   getTools() {
-    return this.bridge.getTools();
+    if (!this.namespaced) {
+      return this.bridge.getTools();
+    }
+
+    const tools = [];
+    for (const [namespace, bridge] of this.bridges) {
+      tools.push(...bridge.getTools().map(tool => ({ ...tool, namespace })));
+    }
+    return tools;
+  }
+
+  /**
+   * Names tools are called by in sandboxed code (`read_file` or `fs.read_file`)
+   */
+  getToolIdentifiers() {
+    const identifiers = [];
+    for (const [namespace, bridge] of this.bridges) {
+      for (const identifier of bridge.getToolIdentifiers()) {
+        identifiers.push(namespace ? `${namespace}.${identifier}` : identifier);
+      }
+    }
+    return identifiers;
+  }
+
+  /**
+   * Tools the `allowTools`/`denyTools` policy hides, with namespaces applied
+   * @returns {Map<string, string>} Tool -> reason it is refused
+   */
+  getDeniedTools() {
+    const denied = new Map();
+    for (const [namespace, bridge] of this.bridges) {
+      for (const [tool, reason] of bridge.getDeniedTools()) {
+        denied.set(namespace ? `${namespace}.${tool}` : tool, reason);
+      }
+    }
+    return denied;
+  }
+
+  /**
+   * Identifiers, original names and input types of every tool, with
+   * namespaces applied; used for "did you mean" suggestions
+   */
+  describeTools() {
+    const tools = [];
+    const prefixes = this.namespaced
+      ? assignNamespacePrefixes(Object.fromEntries([...this.bridges].map(([namespace, bridge]) => [namespace, bridge.getTools()])))
+      : null;
+    for (const [namespace, bridge] of this.bridges) {
+      for (const tool of bridge.describeTools(namespace ? prefixes.get(namespace) : '')) {
+        tools.push(namespace
+          ? { ...tool, identifier: `${namespace}.${tool.identifier}`, name: `${namespace}.${tool.name}` }
+          : tool);
+      }
+    }
+    return tools;
+  }
+
+  /**
+   * Route a tool call from the sandbox to the bridge that owns it
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the MCP request
+   */
+  async callTool(methodName, args, options = {}) {
+    if (!this.namespaced) {
+      return this.dispatch(this.bridge, methodName, args, '', options);
+    }
+
+    const separator = methodName.indexOf('.');
+    const bridge = separator === -1 ? null : this.bridges.get(methodName.slice(0, separator));
+    if (!bridge) {
+      throw new Error(`Unknown MCP server namespace in call: ${methodName}`);
+    }
+    const namespace = methodName.slice(0, separator);
+    return this.dispatch(bridge, methodName.slice(separator + 1), args, namespace, options);
   }
 
-  async executeCode(code, options = {}) {
+  /**
+   * Send a sandbox call to a bridge: `$resources.read` and `$prompts.get`
+   * helpers, or a tool once `onToolCall` has approved it
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onArgs] - Called with the arguments when
+   *   `onToolCall` rewrites them
+   */
+  async dispatch(bridge, name, args, namespace, options = {}) {
+    if (name === '$resources.read') {
+      return bridge.readResource(args.uri, options);
+    }
+    if (name === '$prompts.get') {
+      return bridge.getPrompt(args.name, args.arguments, options);
+    }
+
+    const tool = bridge.resolveTool(name);
+    if (tool && this.onToolCall) {
+      const approved = await this.approveToolCall(namespace ? `${namespace}.${tool.name}` : tool.name, args);
+      if (approved !== args && options.onArgs) options.onArgs(approved);
+      args = approved;
+    }
+    return bridge.callTool(name, args, options);
+  }
+
+  /**
+   * Ask the `onToolCall` hook about a call. It may return nothing or `true`
+   * to approve, `false` or `{ allow: false, reason }` to deny, or `{ args }`
+   * to run the call with rewritten arguments.
+   * @returns {Promise<Object>} The arguments to call the tool with
+   */
+  async approveToolCall(tool, args) {
+    const decision = await this.onToolCall({ tool, args });
+
+    if (decision === undefined || decision === null || decision === true) {
+      return args;
+    }
+    if (decision === false || decision.allow === false) {
+      const reason = decision.reason || 'denied by onToolCall';
+      throw new PermissionDenied(`Tool ${tool} is not allowed: ${reason}`, { tool, reason });
+    }
+    return decision.args !== undefined ? decision.args : args;
+  }
+
+  /**
+   * The tools code would call, found without running it, for policy checks
+   * before execution
+   * @param {string} code
+   * @returns {{tools: string[], references: Object[], dynamic: Object[]}}
+   *   `dynamic` lists access such as `mcp[name]` whose tool is only known at
+   *   runtime; when it is non-empty, `tools` may be incomplete
+   */
+  analyzeToolUsage(code) {
+    return Validator.analyzeToolUsage(code, {
+      namespaces: this.namespaced ? [...this.bridges.keys()] : null
+    });
+  }
+
+  /**
+   * Start a REPL-style session whose executions share top-level variables
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout] - Dispose after this long idle (ms)
+   * @returns {Session}
+   */
+  createSession(options = {}) {
+    const session = new Session(this, options);
+    this.sessions.add(session);
+    return session;
+  }
+
+  /**
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {Session} [session] - Run in this session's isolate and keep its
+   *   top-level variables (used by `session.execute()`)
+   */
+  async executeCode(code, options = {}, session = null) {
     if (!this.connected) {
       throw new Error('Not connected to MCP server. Call connect() first.');
     }
 
+    // Budgets apply to this execution only. The limiter is created first so
+    // invalid limits are reported before any other work.
+    const limiter = new ToolCallLimiter(options);
+
     let processedCode = code;
     let validationResult = null;
+    let lintWarnings = [];
 
-    if (this.validateTypes && !options.skipValidation) {
-      validationResult = this.validator.validate(code, this.typeDefinitions);
+    if (this.linter) {
+      const lintResult = this.linter.lint(code, {
+        namespaces: this.namespaced ? [...this.bridges.keys()] : null
+      });
+      lintWarnings = diagnostics.fromLintFindings(lintResult.warnings);
 
-      if (!validationResult.success) {
+      if (!lintResult.success) {
         return {
           success: false,
-          error: 'TypeScript validation failed',
-          validationErrors: validationResult.formattedErrors,
+          error: `Safety lint failed: ${lintResult.errors
+            .map(finding => `${finding.message} [${finding.ruleId}] (line ${finding.line})`)
+            .join('; ')}`,
+          diagnostics: diagnostics.fromLintFindings(lintResult.errors),
+          lintWarnings,
           output: []
         };
       }
+    }
 
-      processedCode = validationResult.output;
+    // Tool usage is checked from the syntax tree alone, so it runs even
+    // when type validation is off. It runs first so a tool hidden by policy
+    // is reported as denied, not as a missing property.
+    const mcpValidation = Validator.validateMCPUsage(code, this.availableTools, this.toolDescriptions, {
+      namespaces: this.namespaced ? [...this.bridges.keys()] : null,
+      strict: options.strictToolUsage !== undefined ? options.strictToolUsage : this.strictToolUsage,
+      deniedTools: this.deniedTools
+    });
+    if (!mcpValidation.success) {
+      const toolProblems = mcpValidation.deniedTools.length > 0 || mcpValidation.invalidTools.length > 0;
+      return {
+        success: false,
+        error: mcpValidation.error,
+        referencedTools: mcpValidation.referencedTools,
+        dynamicAccess: mcpValidation.dynamicAccess,
+        diagnostics: toolProblems
+          ? [
+            ...diagnostics.fromDeniedTools(mcpValidation.deniedTools, mcpValidation.references),
+            ...diagnostics.fromUnknownTools(mcpValidation.invalidTools, this.availableTools, this.toolDescriptions, mcpValidation.references)
+          ]
+          : diagnostics.fromDynamicAccess(mcpValidation.dynamicAccess),
+        lintWarnings,
+        output: []
+      };
+    }
+
+    if (this.validateTypes && !options.skipValidation) {
+      validationResult = this.validator.validate(code, this.typeDefinitions, {
+        globals: session ? session.getDeclarations() : undefined,
+        tools: this.toolDescriptions
+      });
 
-      const mcpValidation = this.validator.validateMCPUsage(processedCode, this.availableTools);
-      if (!mcpValidation.success) {
+      if (!validationResult.success) {
         return {
           success: false,
-          error: mcpValidation.error,
+          error: 'TypeScript validation failed',
+          validationErrors: validationResult.formattedErrors,
+          diagnostics: diagnostics.fromValidationErrors(validationResult.errors),
+          referencedTools: mcpValidation.referencedTools,
+          dynamicAccess: mcpValidation.dynamicAccess,
+          lintWarnings,
           output: []
         };
       }
+
+      processedCode = validationResult.output;
     }
 
+    // Like the budgets, the trace covers this execution only
+    const trace = new ToolCallTrace({ maxPreviewLength: options.tracePreviewLength });
+
     const mcpHandler = async (methodName, args) => {
-      return this.bridge.callTool(methodName, args);
+      return trace.record(methodName, args, reportSentArgs =>
+        limiter.run(methodName, () => this.callTool(methodName, args, { signal: options.signal, onArgs: reportSentArgs }))
+      );
+    };
+
+    const namespaces = this.namespaced ? [...this.bridges.keys()] : null;
+
+    // Session steps keep their top-level declarations for the next step
+    const persist = session
+      ? (validationResult ? validationResult.declarations.values.map(v => v.name) : Validator.getTopLevelNames(code))
+      : undefined;
+    const environment = session ? await session.getEnvironment() : undefined;
+
+    // Only variables the run actually kept are declared for the next step
+    const recordSession = (persisted = []) => {
+      if (session) session.recordDeclarations(persisted, validationResult && validationResult.declarations);
     };
 
     let result;
     try {
-      result = await this.sandbox.execute(processedCode, mcpHandler, options);
+      result = await this.sandbox.execute(processedCode, mcpHandler, { ...options, namespaces, environment, persist });
     } catch (error) {
-      const mappedError = this.errorMapper.mapError(error, code, this.typeDefinitions);
+      recordSession(error.persisted);
+      const mappedError = this.errorMapper.mapError(
+        error,
+        code,
+        this.typeDefinitions,
+        validationResult && validationResult.sourceMap
+      );
       return {
         success: false,
         error: this.errorMapper.formatError(mappedError),
         rawError: error.message,
-        output: [],
-        debugging: mappedError
+        output: error.output || [],
+        executionTimeMs: error.executionTimeMs,
+        toolCallCounts: limiter.getCounts(),
+        toolCalls: trace.getCalls(),
+        diagnostics: diagnostics.fromMappedError(mappedError, error),
+        debugging: mappedError,
+        referencedTools: mcpValidation.referencedTools,
+        dynamicAccess: mcpValidation.dynamicAccess,
+        lintWarnings
       };
+    } finally {
+      limiter.close();
+    }
+
+    recordSession(result.persisted);
+    delete result.persisted;
+
+    result.toolCallCounts = limiter.getCounts();
+    result.toolCalls = trace.getCalls();
+    result.lintWarnings = lintWarnings;
+    if (!result.success) {
+      result.diagnostics = diagnostics.fromSandboxFailure(result);
     }
 
     if (validationResult && validationResult.sourceMap) {
       result.sourceMap = validationResult.sourceMap;
     }
 
+    result.referencedTools = mcpValidation.referencedTools;
+    result.dynamicAccess = mcpValidation.dynamicAccess;
+
     return result;
   }
 
+  /**
+   * Execute code, asking an LLM to fix it while it fails. The correction
+   * prompt holds the API context, the failing code and its diagnostics.
+   * @param {string} code
+   * @param {Object} options - Execute options, plus:
+   * @param {Function} options.llm - `async (prompt, { attempt, diagnostics }) => response`;
+   *   code is extracted from the response with `extractCode()`
+   * @param {number} [options.maxAttempts=3] - Executions in total, including the first
+   * @returns {Promise<Object>} The last result, with `code` (the code that
+   *   produced it) and `attempts` (`{ code, result }` for every execution)
+   */
+  async executeWithRepair(code, { llm, maxAttempts = 3, ...options } = {}) {
+    if (typeof llm !== 'function') {
+      throw new Error('executeWithRepair() needs an llm function');
+    }
+
+    const attempts = [];
+    let current = code;
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.execute(current, options);
+      attempts.push({ code: current, result });
+
+      // Aborted runs were stopped on purpose; don't retry them
+      const aborted = result.error === 'aborted';
+      if (result.success || aborted || attempt >= maxAttempts) {
+        return { ...result, code: current, attempts };
+      }
+
+      const prompt = diagnostics.buildRepairPrompt(current, result.diagnostics || [], this.getContext());
+      const response = await llm(prompt, { attempt, diagnostics: result.diagnostics || [] });
+      current = MCPCodeMode.extractCode(response);
+    }
+  }
+
   getLLMContext() {
     const types = this.getTypeDefinitions();
-    const tools = this.getTools();
+
+    const example = this.namespaced ? 'mcp.serverName.toolName' : 'mcp.toolName';
 
     return `// Available MCP Tools
 // You can call these tools using the 'mcp' object in your code.
-// For example: const result = await mcp.toolName({ param: value });
+// For example: const result = await ${example}({ param: value });
 
 ${types}
 
-// Available tools: ${tools.map(t => t.name).join(', ')}
+// Available tools: ${this.getToolIdentifiers().join(', ')}
 // Write TypeScript/JavaScript code that uses these tools to accomplish the task.`;
   }
 
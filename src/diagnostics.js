@@ -0,0 +1,200 @@
+/**
+ * Diagnostics - One machine-readable shape for every way an execution can
+ * fail, and the correction prompt built from it
+ *
+ * A diagnostic is `{ stage, code, message, location, snippet, suggestions }`:
+ * - stage: 'lint' | 'validation' | 'runtime' | 'tool' | 'timeout' | 'memory' | 'aborted'
+ * - code: `TS2339` for type errors, otherwise an error name such as
+ *   `TypeError`, `McpToolError`, `UnknownTool`, `DynamicToolAccess` or `Timeout`
+ * - location: `{ line, column }` in the submitted code (1-based), if known
+ *
+ * Lint diagnostics use the rule ID as `code` and also carry `severity`.
+ */
+
+const { didYouMean } = require('./tool-suggestions');
+
+// Errors raised around MCP calls rather than by the script's own logic
+const TOOL_ERRORS = new Set(['McpToolError', 'McpArgumentError', 'PermissionDenied', 'ToolCallLimitError']);
+
+// Hints for the type errors LLM code runs into most
+const TS_SUGGESTIONS = {
+  2304: 'Declare the name before using it, or use one of the declared MCP tools',
+  2322: 'Make the value match the declared type',
+  2339: 'Use only properties declared in the type definitions',
+  2345: 'Pass arguments matching the parameter types in the tool definitions',
+  2353: 'Remove properties that are not part of the input type',
+  2561: 'Fix the property name to match the input type',
+  2741: 'Add the missing required property',
+  18047: 'Check for null before using the value',
+  18048: 'Check for undefined before using the value'
+};
+
+/**
+ * Diagnostics for findings of the SafetyLinter
+ */
+function fromLintFindings(findings) {
+  return findings.map(finding => ({
+    stage: 'lint',
+    code: finding.ruleId,
+    severity: finding.severity,
+    message: finding.message,
+    location: { line: finding.line, column: finding.column },
+    snippet: finding.code,
+    suggestions: [finding.suggestion]
+  }));
+}
+
+/**
+ * Diagnostics for type errors reported by the Validator
+ */
+function fromValidationErrors(errors) {
+  return errors.map(error => ({
+    stage: 'validation',
+    code: error.diagnosticCode ? `TS${error.diagnosticCode}` : 'TypeScript',
+    message: error.message,
+    location: error.line !== undefined ? { line: error.line + 1, column: error.column + 1 } : null,
+    snippet: error.code || null,
+    suggestions: [
+      ...(error.suggestions || []),
+      ...(TS_SUGGESTIONS[error.diagnosticCode] ? [TS_SUGGESTIONS[error.diagnosticCode]] : [])
+    ]
+  }));
+}
+
+/**
+ * Diagnostic for calls to tools the server does not provide
+ * @param {Object[]} [references] - From `Validator.analyzeToolUsage()`, to
+ *   locate each tool's first use
+ */
+function fromUnknownTools(invalidTools, availableTools, tools = [], references = []) {
+  return invalidTools.map(tool => {
+    const suggestion = didYouMean(tool, tools);
+    const reference = references.find(r => r.tool === tool);
+    return {
+      stage: 'validation',
+      code: 'UnknownTool',
+      message: `Code uses undefined MCP tool: ${tool}`,
+      location: reference ? { line: reference.line, column: reference.column } : null,
+      snippet: reference ? reference.code : null,
+      suggestions: suggestion ? [suggestion] : [`Use only the available tools: ${availableTools.join(', ')}`]
+    };
+  });
+}
+
+/**
+ * Diagnostic for calls to tools the `allowTools`/`denyTools` policy refuses
+ * @param {Array<{tool: string, reason: string}>} deniedTools
+ * @param {Object[]} [references] - From `Validator.analyzeToolUsage()`
+ */
+function fromDeniedTools(deniedTools, references = []) {
+  return deniedTools.map(({ tool, reason }) => {
+    const reference = references.find(r => r.tool === tool);
+    return {
+      stage: 'validation',
+      code: 'PermissionDenied',
+      message: `Tool ${tool} is not allowed: ${reason}`,
+      location: reference ? { line: reference.line, column: reference.column } : null,
+      snippet: reference ? reference.code : null,
+      suggestions: ['The tool is blocked by policy, not misspelled; accomplish the task without it']
+    };
+  });
+}
+
+/**
+ * Diagnostic for tool access that cannot be checked before running, such as
+ * `mcp[name]`, rejected in strict mode
+ */
+function fromDynamicAccess(dynamicAccess) {
+  return dynamicAccess.map(entry => ({
+    stage: 'validation',
+    code: 'DynamicToolAccess',
+    message: entry.message,
+    location: { line: entry.line, column: entry.column },
+    snippet: entry.code,
+    suggestions: ['Call tools by name, e.g. mcp.tool_name(...), so they can be checked before running']
+  }));
+}
+
+/**
+ * Diagnostic for an error thrown by the script, from ErrorMapper.mapError()
+ */
+function fromMappedError(mappedError, error) {
+  const name = error.name || mappedError.type;
+  const location = mappedError.location;
+
+  return [{
+    stage: TOOL_ERRORS.has(name) ? 'tool' : 'runtime',
+    code: name,
+    message: mappedError.message,
+    location: location ? { line: location.line, column: location.column } : null,
+    snippet: location && location.code !== undefined ? location.code.trim() : null,
+    suggestions: mappedError.suggestion || []
+  }];
+}
+
+/**
+ * Diagnostic for runs the sandbox stopped: timeouts, memory and aborts
+ */
+function fromSandboxFailure(result) {
+  if (result.error === 'aborted') {
+    return [{ stage: 'aborted', code: 'Aborted', message: 'Execution was aborted', location: null, snippet: null, suggestions: [] }];
+  }
+  if (/memory limit/i.test(result.error)) {
+    return [{
+      stage: 'memory',
+      code: 'MemoryLimit',
+      message: result.error,
+      location: null,
+      snippet: null,
+      suggestions: ['Avoid building very large arrays or strings', 'Process data in smaller chunks']
+    }];
+  }
+  return [{
+    stage: 'timeout',
+    code: 'Timeout',
+    message: result.error,
+    location: null,
+    snippet: null,
+    suggestions: ['Check for infinite loops', 'Make fewer or cheaper tool calls, running independent ones with Promise.all']
+  }];
+}
+
+/**
+ * Build the prompt asking an LLM to fix code that failed
+ * @param {string} code - The code that failed
+ * @param {Object[]} diagnostics
+ * @param {string} [context] - The MCP API context given with the original task
+ */
+function buildRepairPrompt(code, diagnostics, context) {
+  const numbered = code.split('\n')
+    .map((line, i) => `${String(i + 1).padStart(4)} | ${line}`)
+    .join('\n');
+
+  const problems = diagnostics.map((d, i) => {
+    const lines = [`${i + 1}. [${d.stage}] ${d.code}: ${d.message}`];
+    if (d.location) lines.push(`   at line ${d.location.line}, column ${d.location.column}`);
+    if (d.snippet) lines.push(`   > ${d.snippet}`);
+    for (const suggestion of d.suggestions) lines.push(`   - ${suggestion}`);
+    return lines.join('\n');
+  }).join('\n');
+
+  return `${context ? `${context}\n\n` : ''}The following code failed:
+
+${numbered}
+
+Problems:
+${problems}
+
+Fix the code and reply with the complete corrected code in a single \`\`\`typescript block.`;
+}
+
+module.exports = {
+  fromLintFindings,
+  fromValidationErrors,
+  fromUnknownTools,
+  fromDeniedTools,
+  fromDynamicAccess,
+  fromMappedError,
+  fromSandboxFailure,
+  buildRepairPrompt
+};
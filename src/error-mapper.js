@@ -1,5 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { originalPositionFor } = require('./source-map');
+
+// Positions in the code run by the sandbox, as they appear in isolate stacks
+const USER_FRAME_PATTERN = /user-code\.js:(\d+):(\d+)/g;
 
 /**
  * Maps errors back to original source code with helpful context
@@ -11,52 +15,97 @@ class ErrorMapper {
 
   /**
    * Maps an error to the original source with context
+   * @param {Error} error
+   * @param {string} code - The code as written (TypeScript)
+   * @param {string} [types]
+   * @param {Object} [sourceMap] - Map from the code the sandbox ran back to
+   *   `code`; without it the code is assumed to have run as written
    */
-  mapError(error, code, types = '') {
+  mapError(error, code, types = '', sourceMap = null) {
     const result = {
       message: error.message,
-      stack: error.stack,
+      stack: this.mapStack(error.stack, sourceMap),
       type: error.constructor.name
     };
 
+    // Keep the failing call for tool errors reported by the server
+    if (error.name === 'McpToolError') {
+      result.tool = error.tool;
+      result.args = error.args;
+      result.content = error.content;
+    }
+
+    // And for arguments rejected before reaching it
+    if (error.name === 'McpArgumentError') {
+      result.tool = error.tool;
+      result.args = error.args;
+      result.problems = error.problems;
+      result.hint = error.hint;
+    }
+
+    // And for calls refused by policy
+    if (error.name === 'PermissionDenied') {
+      result.tool = error.tool;
+      result.reason = error.reason;
+    }
+
+    // And for calls over the execution's budget
+    if (error.name === 'ToolCallLimitError') {
+      result.tool = error.tool;
+      result.limit = error.limit;
+    }
+
     // Parse stack trace to find location
-    const location = this.parseStackTrace(error.stack, code);
+    const location = this.parseStackTrace(error.stack, code, sourceMap);
 
     if (location) {
       result.location = location;
       result.context = this.getCodeContext(code, location.line);
-      result.suggestion = this.getSuggestion(error, code, location);
     }
 
+    result.suggestion = this.getSuggestion(error, code, location);
+
     return result;
   }
 
   /**
-   * Parse stack trace to find error location
+   * Position in `code` of a line/column in the code the sandbox ran
+   */
+  originalPosition(line, column, sourceMap) {
+    return sourceMap ? originalPositionFor(sourceMap, line, column) : { line, column };
+  }
+
+  /**
+   * Rewrite `user-code.js:L:C` stack positions to `user-code.ts` ones
+   */
+  mapStack(stack, sourceMap) {
+    if (!stack || !sourceMap) return stack;
+
+    return stack.replace(USER_FRAME_PATTERN, (match, line, column) => {
+      const position = this.originalPosition(Number(line), Number(column), sourceMap);
+      return position ? `user-code.ts:${position.line}:${position.column}` : match;
+    });
+  }
+
+  /**
+   * Parse stack trace to find error location. The first frame in user code
+   * wins, so errors raised inside MCP calls point at the awaiting line.
    */
-  parseStackTrace(stack, code) {
+  parseStackTrace(stack, code, sourceMap = null) {
     if (!stack) return null;
 
-    const lines = stack.split('\n');
+    const codeLines = code.split('\n');
 
-    // Look for lines that reference user code
-    for (const line of lines) {
-      // Match patterns like "at <anonymous>:2:5" or "at user-code.js:10:15"
-      const match = line.match(/at\s+(?:.*?)\s*[(<]?(?:.*?):(\d+):(\d+)/);
+    for (const [, line, column] of stack.matchAll(USER_FRAME_PATTERN)) {
+      const position = this.originalPosition(Number(line), Number(column), sourceMap);
 
-      if (match) {
-        const lineNum = parseInt(match[1]);
-        const column = parseInt(match[2]);
-
-        // Verify this is within the user code bounds
-        const codeLines = code.split('\n');
-        if (lineNum > 0 && lineNum <= codeLines.length) {
-          return {
-            line: lineNum,
-            column: column,
-            code: codeLines[lineNum - 1]
-          };
-        }
+      // Verify this is within the user code bounds
+      if (position && position.line > 0 && position.line <= codeLines.length) {
+        return {
+          line: position.line,
+          column: position.column,
+          code: codeLines[position.line - 1]
+        };
       }
     }
 
@@ -121,7 +170,7 @@ class ErrorMapper {
         // Check if it's an MCP tool
         if (code.includes(`mcp.${varName}`)) {
           suggestions.push(`'${varName}' is not a recognized MCP tool`);
-          suggestions.push(`Check available tools with the listTools() method`);
+          suggestions.push(`Use only the tools listed in the type definitions`);
         } else {
           suggestions.push(`'${varName}' is not defined. Did you forget to declare it?`);
           suggestions.push(`Check for typos in the variable name`);
@@ -155,7 +204,28 @@ class ErrorMapper {
     }
 
     // MCP specific errors
-    if (errorMessage.includes('mcp')) {
+    if (error.name === 'McpToolError') {
+      // Tool failures reported by the MCP server (isError results)
+      suggestions.push(...this.getToolErrorSuggestions(error));
+    } else if (error.name === 'McpArgumentError') {
+      // Arguments that failed the tool's inputSchema; the server was not called
+      for (const problem of error.problems || []) {
+        suggestions.push(`Fix ${problem}`);
+      }
+      suggestions.push(error.hint || `Check the arguments against the input type of '${error.tool}'`);
+    } else if (error.name === 'PermissionDenied') {
+      // Refused by allowTools/denyTools or the onToolCall hook
+      suggestions.push(`The call to '${error.tool}' was refused${error.reason ? `: ${error.reason}` : ''}`);
+      suggestions.push(`Achieve the task with the allowed tools, or report that it needs '${error.tool}'`);
+    } else if (error.name === 'ToolCallLimitError') {
+      // maxToolCalls / perToolLimits budget exhausted
+      suggestions.push(`Make fewer tool calls: at most ${error.limit} are allowed`);
+      suggestions.push(`Avoid calling tools once per item in large loops; filter or batch the work first`);
+    } else if (errorMessage.includes('unknown mcp tool')) {
+      // The bridge names the closest tools in the message
+      const match = error.message.match(/Did you mean .*\?/);
+      suggestions.push(match ? match[0] : `Use only the tools listed in the type definitions`);
+    } else if (errorMessage.includes('mcp')) {
       if (errorMessage.includes('not found')) {
         suggestions.push(`The requested MCP tool doesn't exist`);
         suggestions.push(`Use only the tools provided in the TypeScript definitions`);
@@ -169,11 +239,8 @@ class ErrorMapper {
     if (location && location.code) {
       const codeLine = location.code.trim();
 
-      // Check for common patterns
-      if (codeLine.includes('await') && !code.includes('async')) {
-        suggestions.push(`You're using 'await' but the function might not be async`);
-      }
-
+      // Check for common patterns. Top-level await is valid, so `await`
+      // without `async` is not a mistake.
       if (codeLine.includes('.map') || codeLine.includes('.filter')) {
         suggestions.push(`Make sure you're calling array methods on an actual array`);
       }
@@ -186,6 +253,34 @@ class ErrorMapper {
     return suggestions;
   }
 
+  /**
+   * Suggestions for a tool that ran but reported a failure
+   */
+  getToolErrorSuggestions(error) {
+    const suggestions = [];
+    const tool = error.tool || 'the tool';
+    const errorMessage = error.message.toLowerCase();
+    const args = error.args && Object.keys(error.args).length > 0
+      ? JSON.stringify(error.args)
+      : '{}';
+
+    suggestions.push(`mcp.${tool}(${args}) was rejected by the MCP server`);
+
+    if (errorMessage.includes('not found') || errorMessage.includes('no such') || errorMessage.includes('does not exist')) {
+      suggestions.push(`Check that the target passed to '${tool}' exists before using it`);
+    } else if (errorMessage.includes('permission') || errorMessage.includes('denied') || errorMessage.includes('forbidden') || errorMessage.includes('unauthorized')) {
+      suggestions.push(`The server refused access; '${tool}' may not be allowed on this target`);
+    } else if (errorMessage.includes('invalid') || errorMessage.includes('required') || errorMessage.includes('expected')) {
+      suggestions.push(`Check the arguments against the input type of '${tool}'`);
+    } else {
+      suggestions.push(`Check the arguments passed to '${tool}'`);
+    }
+
+    suggestions.push(`Wrap the call in try/catch and check 'error instanceof McpToolError' if this failure is expected`);
+
+    return suggestions;
+  }
+
   /**
    * Format error for display
    */
@@ -0,0 +1,63 @@
+/**
+ * Error types raised by MCP calls and recreated inside the sandbox
+ */
+
+/**
+ * A tool call that reached the server but was reported as failed (`isError: true`)
+ */
+class McpToolError extends Error {
+  constructor(message, { tool, args, content } = {}) {
+    super(message);
+    this.name = 'McpToolError';
+    this.tool = tool;
+    this.args = args;
+    this.content = content || [];
+  }
+}
+
+/**
+ * Tool arguments that do not match the tool's inputSchema; raised before the
+ * server is called. `hint` describes the expected input.
+ */
+class McpArgumentError extends Error {
+  constructor(message, { tool, args, problems, hint } = {}) {
+    super(message);
+    this.name = 'McpArgumentError';
+    this.tool = tool;
+    this.args = args;
+    this.problems = problems || [];
+    this.hint = hint;
+  }
+}
+
+/**
+ * A tool call refused by the `allowTools`/`denyTools` policy or the
+ * `onToolCall` hook; the server is never called
+ */
+class PermissionDenied extends Error {
+  constructor(message, { tool, reason } = {}) {
+    super(message);
+    this.name = 'PermissionDenied';
+    this.tool = tool;
+    this.reason = reason;
+  }
+}
+
+/**
+ * A tool call over the execution's `maxToolCalls` or `perToolLimits` budget
+ */
+class ToolCallLimitError extends Error {
+  constructor(message, { tool, limit } = {}) {
+    super(message);
+    this.name = 'ToolCallLimitError';
+    this.tool = tool;
+    this.limit = limit;
+  }
+}
+
+module.exports = {
+  McpToolError,
+  McpArgumentError,
+  PermissionDenied,
+  ToolCallLimitError
+};
@@ -6,32 +6,120 @@
  */
 
 const ivm = require('isolated-vm');
+const { McpToolError, McpArgumentError, PermissionDenied, ToolCallLimitError } = require('./errors');
 
+// Marks errors serialized by the sandbox so they can be told apart from
+// strings thrown by user code
+const SERIALIZED_ERROR_PREFIX = '__sandboxError:';
+
+const ERROR_CLASSES = {
+  Error,
+  TypeError,
+  RangeError,
+  ReferenceError,
+  SyntaxError
+};
+
+// Errors raised for MCP calls, rebuilt with their details
+const MCP_ERROR_CLASSES = {
+  McpToolError,
+  McpArgumentError,
+  PermissionDenied,
+  ToolCallLimitError
+};
+
+/**
+ * Rebuild an error serialized inside the isolate, keeping its class, stack
+ * and MCP details (tool, args, content, problems, reason, limit, hint)
+ */
+function deserializeError(serialized) {
+  const { name, message, stack, ...details } = JSON.parse(serialized.slice(SERIALIZED_ERROR_PREFIX.length));
+
+  let error;
+  if (MCP_ERROR_CLASSES[name]) {
+    error = new MCP_ERROR_CLASSES[name](message, details);
+  } else {
+    const ErrorClass = ERROR_CLASSES[name] || Error;
+    error = new ErrorClass(message);
+    if (!ERROR_CLASSES[name]) error.name = name;
+  }
+
+  // Host frames would only be noise; keep the isolate stack or none at all
+  error.stack = stack || `${error.name}: ${message}`;
+  return error;
+}
+
+const ISOLATION_MODES = ['shared', 'per-execution', 'pooled'];
+
+// Script names in isolate stack traces; ErrorMapper maps `user-code.js`
+// frames back to the TypeScript source
+const USER_CODE_FILENAME = 'user-code.js';
+const BOOTSTRAP_FILENAME = 'sandbox-bootstrap.js';
+const PROXY_FILENAME = 'mcp-proxy.js';
+
+// Globals the sandbox defines itself; session variables never overwrite them
+const RESERVED_GLOBALS = new Set([
+  'global', 'globalThis', 'console', 'setTimeout', 'mcp', 'McpToolError', 'PermissionDenied',
+  '_logSync', '_setTimeout', '_mcpCallAsync', '_toSandboxError', '_serializeError',
+  '_serializeResult', '_sessionCapture', '_persistSession', '_sessionPersisted'
+]);
+
+/**
+ * Runs code in isolates according to the isolation mode:
+ * - `shared`: one isolate reused by every execution
+ * - `per-execution`: a fresh isolate for each execution, disposed afterwards
+ * - `pooled`: like per-execution, but taken from `poolSize` warm isolates
+ *
+ * Overlapping executions are queued: one at a time in shared mode, where
+ * they would share a context, and up to `maxConcurrentExecutions` otherwise.
+ */
 class IsolatedSandbox {
   constructor(options = {}) {
     this.memoryLimit = options.memoryLimit || 128; // MB
     this.timeout = options.timeout || 5000; // ms
-    this.isolate = null;
-    this.context = null;
+    this.maxResultSize = options.maxResultSize || 1024 * 1024; // characters of JSON
+    this.isolation = options.isolation || 'shared';
+    this.poolSize = options.poolSize || 2;
+    this.maxConcurrentExecutions = this.isolation === 'shared'
+      ? 1
+      : options.maxConcurrentExecutions || Infinity;
+    this.running = 0;
+    this.queue = []; // Executions waiting for a slot
+
+    if (!ISOLATION_MODES.includes(this.isolation)) {
+      throw new Error(`Invalid isolation mode '${this.isolation}': expected one of ${ISOLATION_MODES.join(', ')}`);
+    }
+
+    this.shared = null; // Promise of the environment reused in 'shared' mode
+    this.sharedEnvironment = null;
+    this.pool = []; // Warm environments in 'pooled' mode
+    this.warming = 0;
+    this.generation = 0; // Bumped by dispose() to discard environments still warming
+    this.environments = new Set(); // Every live environment, for dispose()
   }
 
-  async initialize() {
+  /**
+   * Create and bootstrap an isolate with its own context and log buffer
+   */
+  async createEnvironment() {
     // Create isolate with memory limit
-    this.isolate = new ivm.Isolate({
+    const isolate = new ivm.Isolate({
       memoryLimit: this.memoryLimit
     });
+    const environment = { isolate, context: null, logs: [], disposed: false };
+    this.environments.add(environment);
 
     // Create context
-    this.context = await this.isolate.createContext();
+    const context = await isolate.createContext();
+    environment.context = context;
 
     // Get global object
-    const jail = this.context.global;
+    const jail = context.global;
 
     // Set up global
     await jail.set('global', jail.derefInto());
 
     // Set up console.log collecting output
-    this.logs = [];
     // Use setSync with plain function - isolated-vm automatically creates Callback
     await jail.set('_logSync', (...args) => {
       const message = args.map(arg => {
@@ -46,18 +134,23 @@ class IsolatedSandbox {
         }
         return String(arg);
       }).join(' ');
-      this.logs.push(message);
+      environment.logs.push(message);
     });
 
     // Set up setTimeout for async support
-    await jail.set('_setTimeout', (fn, delay) => {
+    // Callback and delay arrive as references so the function survives the copy
+    await jail.set('_setTimeout', new ivm.Reference((fn, delay) => {
       setTimeout(() => {
-        fn.applyIgnored(undefined, []);
-      }, delay);
-    });
+        try {
+          fn.applyIgnored(undefined, []);
+        } catch {
+          // Isolate was disposed before the timer fired
+        }
+      }, delay.copySync());
+    }));
 
     // Bootstrap the environment
-    await this.context.eval(`
+    await context.eval(`
       global.console = {
         log: (...args) => {
           _logSync.apply(undefined, args, { arguments: { copy: true } });
@@ -71,54 +164,343 @@ class IsolatedSandbox {
       };
 
       global.setTimeout = (fn, delay) => {
-        _setTimeout.apply(undefined, [fn, delay]);
+        _setTimeout.apply(undefined, [fn, delay || 0], { arguments: { reference: true } });
       };
-    `);
+
+      class McpToolError extends Error {
+        constructor(message, tool, args, content) {
+          super(message);
+          this.name = 'McpToolError';
+          this.tool = tool;
+          this.args = args;
+          this.content = content || [];
+        }
+      }
+      global.McpToolError = McpToolError;
+
+      class PermissionDenied extends Error {
+        constructor(message, tool, reason) {
+          super(message);
+          this.name = 'PermissionDenied';
+          this.tool = tool;
+          this.reason = reason;
+        }
+      }
+      global.PermissionDenied = PermissionDenied;
+
+      // Recreate an error reported by the host for a failed MCP call
+      global._toSandboxError = ({ name, message, ...details }) => {
+        if (name === 'McpToolError') {
+          return new McpToolError(message, details.tool, details.args, details.content);
+        }
+        if (name === 'PermissionDenied') {
+          return new PermissionDenied(message, details.tool, details.reason);
+        }
+        const error = new Error(message);
+        if (name) error.name = name;
+        return Object.assign(error, details);
+      };
+
+      // Serialize an uncaught error so its name, stack and MCP details
+      // survive leaving the isolate
+      global._serializeError = (error) => {
+        if (!(error instanceof Error)) {
+          return '${SERIALIZED_ERROR_PREFIX}' + JSON.stringify({
+            name: 'Error',
+            message: \`Uncaught \${typeof error === 'string' ? error : JSON.stringify(error)}\`
+          });
+        }
+
+        const { name, message, stack, tool, args, content, problems, reason, limit, hint } = error;
+        try {
+          return '${SERIALIZED_ERROR_PREFIX}' + JSON.stringify({ name, message, stack, tool, args, content, problems, reason, limit, hint });
+        } catch {
+          return '${SERIALIZED_ERROR_PREFIX}' + JSON.stringify({ name, message, stack });
+        }
+      };
+
+      // Serialize the script's return value to JSON so it can leave the isolate
+      global._serializeResult = (value, maxSize) => {
+        if (value === undefined) return undefined;
+
+        let json;
+        try {
+          json = JSON.stringify(value, (key, val) => {
+            if (typeof val === 'function' || typeof val === 'symbol') {
+              const where = key ? \`property '\${key}'\` : 'value';
+              throw new TypeError(\`\${where} is a \${typeof val}\`);
+            }
+            return val;
+          });
+        } catch (error) {
+          throw new TypeError(\`Return value is not serializable: \${error.message}\`);
+        }
+
+        if (json.length > maxSize) {
+          throw new RangeError(\`Return value is too large (\${json.length} > \${maxSize} characters)\`);
+        }
+        return json;
+      };
+
+      // Copy the variables captured by a session run onto the global object,
+      // where later runs in the same context can see them
+      global._persistSession = () => {
+        const capture = global._sessionCapture;
+        global._sessionCapture = undefined;
+        const vars = typeof capture === 'function' ? capture() : {};
+        Object.assign(global, vars);
+        global._sessionPersisted = Object.keys(vars);
+      };
+    `, { filename: BOOTSTRAP_FILENAME });
+
+    return environment;
+  }
+
+  /**
+   * Get an environment to run in, according to the isolation mode
+   */
+  async acquireEnvironment() {
+    if (this.isolation === 'shared') {
+      if (!this.shared) {
+        this.shared = this.createEnvironment().then(environment => {
+          this.sharedEnvironment = environment;
+          return environment;
+        }, error => {
+          this.shared = null;
+          throw error;
+        });
+      }
+      return this.shared;
+    }
+
+    if (this.isolation === 'pooled') {
+      const environment = this.pool.shift();
+      this.fillPool();
+      if (environment) return environment;
+    }
+
+    return this.createEnvironment();
   }
 
-  async execute(code, mcpHandler) {
-    if (!this.isolate || !this.context) {
-      await this.initialize();
+  /**
+   * Hand an environment back after a run. Only the shared one is kept.
+   */
+  releaseEnvironment(environment) {
+    if (this.isolation !== 'shared') {
+      this.disposeEnvironment(environment);
     }
+  }
 
-    this.logs = [];
+  /**
+   * Start bootstrapping isolates until the pool is full
+   * @returns {Promise} Settles once the isolates started here are ready
+   */
+  fillPool() {
+    const generation = this.generation;
+    const started = [];
+    while (this.pool.length + this.warming < this.poolSize) {
+      this.warming++;
+      started.push(this.createEnvironment().then(environment => {
+        this.warming--;
+        if (generation === this.generation) {
+          this.pool.push(environment);
+        } else {
+          this.disposeEnvironment(environment);
+        }
+      }, () => {
+        // Leave the slot empty; the next execution creates its own isolate
+        this.warming--;
+      }));
+    }
+    return Promise.all(started);
+  }
+
+  /**
+   * Prepare isolates ahead of the first execution: the shared isolate, or a
+   * full pool
+   */
+  async warm() {
+    if (this.isolation === 'shared') {
+      await this.acquireEnvironment();
+    } else if (this.isolation === 'pooled') {
+      await this.fillPool();
+    }
+  }
+
+  disposeEnvironment(environment) {
+    if (environment.disposed) return;
+    environment.disposed = true;
+    this.environments.delete(environment);
+
+    // Forget the shared environment so the next run starts a new one
+    if (environment === this.sharedEnvironment) {
+      this.shared = null;
+      this.sharedEnvironment = null;
+    }
+
+    try {
+      if (environment.context) environment.context.release();
+      environment.isolate.dispose();
+    } catch {
+      // Already disposed, e.g. after running out of memory
+    }
+  }
+
+  /**
+   * Run code in the isolate once an execution slot is free
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Wall-clock limit for this run (ms),
+   *   counted from when it leaves the queue
+   * @param {AbortSignal} [options.signal] - Stops the run when aborted, or
+   *   drops it from the queue
+   * @param {Object} [options.environment] - Environment to run in instead of
+   *   one chosen by the isolation mode (used by sessions)
+   * @param {string[]} [options.persist] - Top-level variables to keep on the
+   *   global object after the run; the result (or thrown error) lists the
+   *   ones kept in `persisted`
+   */
+  async execute(code, mcpHandler, options = {}) {
+    const { signal } = options;
+    try {
+      await this.acquireSlot(signal);
+    } catch {
+      return { success: false, error: 'aborted', output: [], executionTimeMs: 0 };
+    }
+
+    try {
+      return await this.run(code, mcpHandler, options);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async acquireSlot(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Execution aborted');
+    }
+    if (this.running < this.maxConcurrentExecutions) {
+      this.running++;
+      return;
+    }
+
+    // The slot is handed over by releaseSlot(), so `running` stays unchanged
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.queue.splice(this.queue.indexOf(waiter), 1);
+          reject(new Error('Execution aborted'));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.queue.push(waiter);
+    });
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (!next) {
+      this.running--;
+      return;
+    }
+    if (next.onAbort) next.signal.removeEventListener('abort', next.onAbort);
+    next.resolve();
+  }
+
+  async run(code, mcpHandler, options) {
+    const { signal } = options;
+    // Sessions bring their own long-lived environment
+    const environment = options.environment || await this.acquireEnvironment();
+    environment.logs = [];
+    const timeout = options.timeout || this.timeout;
     const startTime = Date.now();
+    let timer;
+    let onAbort;
 
     try {
       // Set up MCP proxy if provided
       if (mcpHandler) {
-        await this.setupMCPProxy(mcpHandler);
+        await this.setupMCPProxy(environment, mcpHandler, options.namespaces);
+      }
+
+      // Names from an earlier run must not be reported for this one
+      if (options.persist) {
+        environment.context.evalSync('global._sessionPersisted = []');
       }
 
-      // Wrap code in async function to support await
-      const wrappedCode = `
-        (async () => {
-          ${code}
-        })();
-      `;
+      // Wrap code in async function to support await and return
+      // The code starts at column 0 of line 2, which lineOffset reports as
+      // line 1 so stack positions match the code as given
+      const wrappedCode = `(async () => { ${this.createCapture(options.persist)}
+${code}
+})().then(
+  value => { _persistSession(); return _serializeResult(value, ${this.maxResultSize}); },
+  error => { _persistSession(); throw _serializeError(error); }
+);`;
 
-      // Execute code and handle promise
-      await this.context.eval(wrappedCode, {
-        timeout: this.timeout
+      // Execute code and wait for the top-level promise to settle.
+      // The eval timeout only bounds synchronous CPU time, so the deadline
+      // below covers awaited MCP calls and timers as well.
+      const execution = environment.context.eval(wrappedCode, {
+        filename: USER_CODE_FILENAME,
+        lineOffset: -1,
+        timeout,
+        promise: true
       });
+      execution.catch(() => {});
+
+      const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error('Script execution timed out.'));
+          // Tear down the isolate so pending callbacks never run
+          this.disposeEnvironment(environment);
+        }, timeout);
+      });
+
+      // Aborting tears the isolate down the same way
+      const abort = new Promise((resolve, reject) => {
+        if (!signal) return;
+        onAbort = () => {
+          reject(new Error('Execution aborted'));
+          this.disposeEnvironment(environment);
+        };
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      });
+
+      const serialized = await Promise.race([execution, deadline, abort]);
 
       const executionTimeMs = Date.now() - startTime;
 
       return {
         success: true,
-        output: this.logs,
-        executionTimeMs
+        output: environment.logs,
+        value: serialized === undefined ? undefined : JSON.parse(serialized),
+        executionTimeMs,
+        ...(options.persist ? { persisted: this.readPersisted(environment) } : {})
       };
 
-    } catch (error) {
+    } catch (thrown) {
       const executionTimeMs = Date.now() - startTime;
+      const error = typeof thrown === 'string' && thrown.startsWith(SERIALIZED_ERROR_PREFIX)
+        ? deserializeError(thrown)
+        : thrown;
+
+      if (signal && signal.aborted) {
+        return {
+          success: false,
+          error: 'aborted',
+          output: environment.logs,
+          executionTimeMs
+        };
+      }
 
       // Handle timeout specifically
       if (error.message.includes('Script execution timed out')) {
         return {
           success: false,
-          error: `Execution timeout (${this.timeout}ms exceeded)`,
-          output: this.output,
+          error: `Execution timeout (${timeout}ms exceeded)`,
+          output: environment.logs,
           executionTimeMs
         };
       }
@@ -126,69 +508,116 @@ class IsolatedSandbox {
       // Handle memory limit
       if (error.message.includes('Isolate was disposed')) {
         // Isolate was killed due to memory limit
-        this.isolate = null;
-        this.context = null;
+        this.disposeEnvironment(environment);
         return {
           success: false,
           error: `Memory limit exceeded (${this.memoryLimit}MB)`,
-          output: this.output,
+          output: environment.logs,
           executionTimeMs
         };
       }
 
-      return {
-        success: false,
-        error: error.message,
-        output: this.output,
-        executionTimeMs
-      };
+      // Errors thrown or rejected by user code are left to the caller
+      // to map, with whatever the script logged before failing
+      error.output = environment.logs;
+      error.executionTimeMs = executionTimeMs;
+      if (options.persist) error.persisted = this.readPersisted(environment);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+      if (!options.environment) this.releaseEnvironment(environment);
     }
   }
 
-  async setupMCPProxy(mcpHandler) {
-    const jail = this.context.global;
+  /**
+   * Names `_persistSession` copied to the global object in the last run.
+   * Variables the run never reached (e.g. declared after a throw) are left out.
+   */
+  readPersisted(environment) {
+    try {
+      return JSON.parse(environment.context.evalSync('JSON.stringify(global._sessionPersisted || [])'));
+    } catch {
+      return [];
+    }
+  }
 
-    // Create async wrapper for MCP calls
+  /**
+   * Code that lets `_persistSession` read the named top-level variables of a
+   * run once it settles. Variables still uninitialized when it failed are skipped.
+   */
+  createCapture(names = []) {
+    const persisted = names.filter(name => !RESERVED_GLOBALS.has(name));
+    if (persisted.length === 0) return '';
+
+    const reads = persisted.map(name => `try { vars.${name} = ${name}; } catch {}`).join(' ');
+    return `global._sessionCapture = () => { const vars = {}; ${reads} return vars; };`;
+  }
+
+  async setupMCPProxy(environment, mcpHandler, namespaces = null) {
+    const jail = environment.context.global;
+
+    // Create async wrapper for MCP calls. Failures come back as data so the
+    // sandbox can rethrow them with their type and details intact.
     await jail.set('_mcpCallAsync', new ivm.Reference(async (toolName, args) => {
       try {
-        const result = await mcpHandler(toolName, args);
-        return result;
+        return { value: await mcpHandler(toolName, args) };
       } catch (error) {
-        throw new Error(error.message);
+        const { name, message, tool, args: toolArgs, content, problems, reason, limit, hint } = error;
+        return { error: { name, message, tool, args: toolArgs, content, problems, reason, limit, hint } };
       }
     }));
 
-    // Create the MCP proxy in the sandbox
-    await this.context.eval(`
-      global.mcp = new Proxy({}, {
-        get: (target, prop) => {
-          return (args) => {
-            return _mcpCallAsync.apply(undefined, [prop, args], {
-              arguments: { copy: true },
-              result: { promise: true, copy: true }
-            });
-          };
-        }
-      });
-    `);
+    // Create the MCP proxy in the sandbox. With namespaces, each server gets
+    // its own proxy and calls are dispatched as "namespace.tool".
+    await environment.context.eval(`
+      (() => {
+        const call = (name, args) => {
+          return _mcpCallAsync.apply(undefined, [name, args], {
+            arguments: { copy: true },
+            result: { promise: true, copy: true }
+          }).then(outcome => {
+            if (outcome.error) throw _toSandboxError(outcome.error);
+            return outcome.value;
+          });
+        };
+
+        const toolProxy = (prefix) => new Proxy({}, {
+          get: (target, prop) => {
+            if (prop === '$resources') {
+              return { read: (uri) => call(prefix + '$resources.read', { uri }) };
+            }
+            if (prop === '$prompts') {
+              return { get: (name, args) => call(prefix + '$prompts.get', { name, arguments: args }) };
+            }
+            return (args) => call(prefix + String(prop), args);
+          }
+        });
+
+        const namespaces = ${JSON.stringify(namespaces)};
+        global.mcp = namespaces
+          ? Object.fromEntries(namespaces.map(ns => [ns, toolProxy(ns + '.')]))
+          : toolProxy('');
+      })();
+    `, { filename: PROXY_FILENAME });
   }
 
   async dispose() {
-    if (this.context) {
-      this.context.release();
-      this.context = null;
-    }
-    if (this.isolate) {
-      this.isolate.dispose();
-      this.isolate = null;
+    this.generation++;
+    this.pool = [];
+    for (const environment of [...this.environments]) {
+      this.disposeEnvironment(environment);
     }
+    this.shared = null;
+    this.sharedEnvironment = null;
   }
 
   // Get memory usage statistics
   async getMemoryUsage() {
-    if (!this.isolate) return null;
+    const environment = this.sharedEnvironment || this.pool[0];
+    if (!environment) return null;
 
-    const heap = await this.isolate.getHeapStatistics();
+    const heap = await environment.isolate.getHeapStatistics();
     return {
       used: Math.round(heap.used_heap_size / 1024 / 1024),
       total: Math.round(heap.total_heap_size / 1024 / 1024),
@@ -197,4 +626,6 @@ class IsolatedSandbox {
   }
 }
 
+IsolatedSandbox.RESERVED_GLOBALS = RESERVED_GLOBALS;
+
 module.exports = IsolatedSandbox;
\ No newline at end of file
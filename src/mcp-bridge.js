@@ -2,27 +2,190 @@
  * MCP Bridge - Connects to MCP servers and generates TypeScript APIs
  */
 
+const { EventEmitter } = require('events');
 const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
-const { generateTypeScriptDefinitions, sanitizeName } = require('./schema-to-types.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { generateTypeScriptDefinitions, assignToolNames, sanitizeName } = require('./schema-to-types.js');
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { validateAgainstSchema } = require('./schema-validation.js');
+const { McpToolError, McpArgumentError, PermissionDenied } = require('./errors.js');
 
-class MCPBridge {
-  constructor(serverConfig) {
+const FILTER_REASON = 'excluded by allowTools/denyTools';
+const { didYouMean, describeInput } = require('./tool-suggestions.js');
+
+/**
+ * Compare two tool lists by name
+ * @returns {{added: string[], removed: string[], changed: string[]}}
+ */
+function diffTools(before, after) {
+  const previous = new Map(before.map(t => [t.name, JSON.stringify(t)]));
+  const current = new Map(after.map(t => [t.name, JSON.stringify(t)]));
+
+  return {
+    added: [...current.keys()].filter(name => !previous.has(name)),
+    removed: [...previous.keys()].filter(name => !current.has(name)),
+    changed: [...current.keys()].filter(name =>
+      previous.has(name) && previous.get(name) !== current.get(name)
+    )
+  };
+}
+
+/**
+ * Emits `toolsChanged` with `{ added, removed, changed }` tool names when the
+ * server updates its tool list at runtime, and `toolsRefreshFailed` with
+ * `{ error }` when re-listing fails and the previous tool list is kept
+ */
+class MCPBridge extends EventEmitter {
+  /**
+   * @param {Object} serverConfig - `{ command, args, env }` or `{ url, headers }`
+   * @param {Object} [options]
+   * @param {'parsed'|'content'} [options.toolResult='parsed'] - Return the first
+   *   text block parsed as JSON, or every content part as a typed McpContent[]
+   * @param {boolean} [options.validateArgs=true] - Check arguments against the
+   *   tool's inputSchema before calling the server
+   * @param {Function} [options.toolFilter] - `(tool) => boolean`; tools it
+   *   rejects are left out of the definitions and refused when called
+   */
+  constructor(serverConfig, options = {}) {
+    super();
     this.serverConfig = serverConfig;
+    this.toolResult = options.toolResult || 'parsed';
+    this.validateArgs = options.validateArgs !== false;
+    this.toolFilter = options.toolFilter || null;
     this.client = null;
     this.transport = null;
     this.tools = [];
+    this.hiddenTools = [];
+    this.toolNames = new Map();
+    this.toolsByIdentifier = new Map();
+    this.resources = [];
+    this.resourceTemplates = [];
+    this.prompts = [];
     this.typeDefinitions = '';
   }
 
   /**
-   * Connect to the MCP server
+   * Connect to the MCP server.
+   * Stdio servers are configured with `{ command, args, env }`, remote servers
+   * with `{ url, headers }`.
    */
   async connect() {
     if (this.client) {
       throw new Error('Already connected to MCP server');
     }
 
+    try {
+      if (this.serverConfig.url) {
+        await this.connectHttp();
+      } else {
+        await this.connectStdio();
+      }
+    } catch (error) {
+      this.client = null;
+      this.transport = null;
+      throw error;
+    }
+
+    // Keep the tool list current for servers that add or remove tools at runtime
+    this.client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      // A failed refresh keeps the previous snapshot
+      this.refreshTools().catch(error => this.emit('toolsRefreshFailed', { error }));
+    });
+
+    // Get available tools
+    const response = await this.client.listTools();
+    this.setTools(response.tools || []);
+
+    await this.discoverResourcesAndPrompts();
+
+    this.generateTypeDefinitions();
+  }
+
+  /**
+   * Re-list tools, regenerate the definitions and emit `toolsChanged`
+   * if anything differs
+   */
+  async refreshTools() {
+    if (!this.client) return;
+
+    const response = await this.client.listTools();
+    const previous = this.tools;
+
+    this.setTools(response.tools || []);
+    this.generateTypeDefinitions();
+
+    const diff = diffTools(previous, this.tools);
+
+    if (diff.added.length || diff.removed.length || diff.changed.length) {
+      this.emit('toolsChanged', diff);
+    }
+  }
+
+  /**
+   * Store the tool list and the identifier -> tool table used for dispatch.
+   * Tools rejected by `toolFilter` are kept aside so calls to them can be
+   * reported as denied rather than unknown.
+   */
+  setTools(allTools) {
+    const tools = this.toolFilter ? allTools.filter(tool => this.toolFilter(tool)) : allTools;
+    const { names, warnings } = assignToolNames(tools);
+
+    this.tools = tools;
+    this.toolNames = names;
+    this.hiddenTools = allTools.filter(tool => !tools.includes(tool));
+    this.toolsByIdentifier = new Map(
+      tools.map(tool => [names.get(tool.name).identifier, tool])
+    );
+
+    for (const warning of warnings) {
+      process.emitWarning(warning, 'MCPCodeModeWarning');
+    }
+  }
+
+  /**
+   * Generate TypeScript definitions from the current tools, resources and prompts
+   */
+  generateTypeDefinitions() {
+    this.typeDefinitions = generateTypeScriptDefinitions(this.tools, {
+      toolResult: this.toolResult,
+      resources: this.resources,
+      resourceTemplates: this.resourceTemplates,
+      prompts: this.prompts
+    });
+  }
+
+  /**
+   * List resources, resource templates and prompts for servers that
+   * advertise those capabilities
+   */
+  async discoverResourcesAndPrompts() {
+    const capabilities = this.client.getServerCapabilities() || {};
+
+    if (capabilities.resources) {
+      const { resources } = await this.client.listResources();
+      this.resources = resources || [];
+
+      // Templates are optional even for servers with resources
+      try {
+        const { resourceTemplates } = await this.client.listResourceTemplates();
+        this.resourceTemplates = resourceTemplates || [];
+      } catch {
+        this.resourceTemplates = [];
+      }
+    }
+
+    if (capabilities.prompts) {
+      const { prompts } = await this.client.listPrompts();
+      this.prompts = prompts || [];
+    }
+  }
+
+  /**
+   * Spawn the server as a child process and talk to it over stdio
+   */
+  async connectStdio() {
     const { command, args = [], env = {} } = this.serverConfig;
 
     // Create stdio transport
@@ -32,23 +195,44 @@ class MCPBridge {
       env: { ...process.env, ...env }
     });
 
-    // Create client
-    this.client = new Client({
+    this.client = this.createClient();
+    await this.client.connect(this.transport);
+  }
+
+  /**
+   * Connect over Streamable HTTP, falling back to the legacy SSE transport
+   * for servers that predate it
+   */
+  async connectHttp() {
+    const { url, headers = {} } = this.serverConfig;
+    const requestInit = { headers };
+
+    try {
+      this.transport = new StreamableHTTPClientTransport(new URL(url), { requestInit });
+      this.client = this.createClient();
+      await this.client.connect(this.transport);
+    } catch (streamableError) {
+      await this.transport.close().catch(() => {});
+
+      this.transport = new SSEClientTransport(new URL(url), { requestInit });
+      this.client = this.createClient();
+      try {
+        await this.client.connect(this.transport);
+      } catch (sseError) {
+        throw new Error(
+          `Could not connect to ${url} (Streamable HTTP: ${streamableError.message}; SSE: ${sseError.message})`
+        );
+      }
+    }
+  }
+
+  createClient() {
+    return new Client({
       name: 'mcp-codemode',
       version: '1.0.0'
     }, {
       capabilities: {}
     });
-
-    // Connect
-    await this.client.connect(this.transport);
-
-    // Get available tools
-    const response = await this.client.listTools();
-    this.tools = response.tools || [];
-
-    // Generate TypeScript definitions
-    this.typeDefinitions = generateTypeScriptDefinitions(this.tools);
   }
 
   /**
@@ -66,6 +250,12 @@ class MCPBridge {
     }
 
     this.tools = [];
+    this.hiddenTools = [];
+    this.toolNames = new Map();
+    this.toolsByIdentifier = new Map();
+    this.resources = [];
+    this.resourceTemplates = [];
+    this.prompts = [];
     this.typeDefinitions = '';
   }
 
@@ -83,50 +273,185 @@ class MCPBridge {
     return [...this.tools];
   }
 
+  /**
+   * Names and input types of the exposed tools, for suggestions
+   * @param {string} [typePrefix] - Prefix of the generated type names
+   * @returns {Array<{identifier: string, name: string, inputType: string, inputSchema: Object}>}
+   */
+  describeTools(typePrefix = '') {
+    return this.tools.map(tool => {
+      const { identifier, typeName } = this.toolNames.get(tool.name);
+      return { identifier, name: tool.name, inputType: `${typePrefix}${typeName}Input`, inputSchema: tool.inputSchema };
+    });
+  }
+
+  /**
+   * Resolve the identifier used in code back to the server's tool,
+   * accepting the original name as well for direct callers
+   */
+  resolveTool(toolName) {
+    return this.toolsByIdentifier.get(toolName) ||
+      this.tools.find(t => t.name === toolName);
+  }
+
   /**
    * Call a tool on the MCP server
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request on the server
    */
-  async callTool(toolName, args) {
+  async callTool(toolName, args, options = {}) {
     if (!this.client) {
       throw new Error('Not connected to MCP server');
     }
 
-    // Find the original tool name (before sanitization)
-    const tool = this.tools.find(t =>
-      sanitizeName(t.name) === toolName || t.name === toolName
-    );
+    const tool = this.resolveTool(toolName);
 
     if (!tool) {
-      throw new Error(`Unknown MCP tool: ${toolName}`);
+      const hidden = this.hiddenTools.find(t =>
+        t.name === toolName || sanitizeName(t.name) === toolName
+      );
+      if (hidden) {
+        throw new PermissionDenied(`Tool ${hidden.name} is not allowed`, {
+          tool: hidden.name,
+          reason: FILTER_REASON
+        });
+      }
+      const suggestion = didYouMean(toolName, this.describeTools());
+      throw new Error(`Unknown MCP tool: ${toolName}${suggestion ? `. ${suggestion}` : ''}`);
     }
 
+    if (this.validateArgs && tool.inputSchema) {
+      const problems = validateAgainstSchema(tool.inputSchema, args || {});
+      if (problems.length > 0) {
+        const description = this.describeTools().find(t => t.name === tool.name);
+        throw new McpArgumentError(`Invalid arguments for ${toolName}: ${problems.join('; ')}`, {
+          tool: toolName,
+          args: args || {},
+          problems,
+          hint: describeInput(description)
+        });
+      }
+    }
+
+    let result;
     try {
-      const result = await this.client.callTool({
+      result = await this.client.callTool({
         name: tool.name,
         arguments: args || {}
+      }, undefined, { signal: options.signal });
+    } catch (error) {
+      throw new Error(`MCP tool call failed: ${error.message}`);
+    }
+
+    // The server answered, but the tool itself failed
+    if (result.isError) {
+      const text = (result.content || [])
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('\n');
+      throw new McpToolError(`${toolName}: ${text || 'tool reported an error'}`, {
+        tool: toolName,
+        args: args || {},
+        content: result.content
       });
+    }
 
-      // Extract content from MCP response
-      if (result.content && Array.isArray(result.content) && result.content.length > 0) {
-        const content = result.content[0];
-
-        // Handle text content
-        if (typeof content === 'object' && 'text' in content) {
-          try {
-            // Try to parse as JSON
-            return JSON.parse(content.text);
-          } catch {
-            // Return as text if not JSON
-            return content.text;
-          }
-        }
+    // Full content mode hands every part (text, image, resource) to the script
+    if (this.toolResult === 'content') {
+      return result.content || [];
+    }
+
+    // Prefer structured results from tools that declare an outputSchema
+    if (result.structuredContent !== undefined) {
+      return result.structuredContent;
+    }
 
-        return content;
+    // Extract content from MCP response
+    if (result.content && Array.isArray(result.content) && result.content.length > 0) {
+      const content = result.content[0];
+
+      // Handle text content
+      if (typeof content === 'object' && 'text' in content) {
+        try {
+          // Try to parse as JSON
+          return JSON.parse(content.text);
+        } catch {
+          // Return as text if not JSON
+          return content.text;
+        }
       }
 
-      return null;
+      return content;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the identifiers tools are exposed under on the `mcp` object
+   */
+  getToolIdentifiers() {
+    return [...this.toolsByIdentifier.keys()];
+  }
+
+  /**
+   * Names `toolFilter` hides, as written in code, with the reason calls to
+   * them are refused
+   * @returns {Map<string, string>} Name or identifier -> reason
+   */
+  getDeniedTools() {
+    const denied = new Map();
+    for (const tool of this.hiddenTools) {
+      denied.set(tool.name, FILTER_REASON);
+      denied.set(sanitizeName(tool.name), FILTER_REASON);
+    }
+    return denied;
+  }
+
+  /**
+   * Get resources, resource templates and prompts published by the server
+   */
+  getCatalog() {
+    return {
+      tools: this.getTools(),
+      resources: [...this.resources],
+      resourceTemplates: [...this.resourceTemplates],
+      prompts: [...this.prompts]
+    };
+  }
+
+  /**
+   * Read a resource by URI, returning its contents
+   */
+  async readResource(uri, options = {}) {
+    if (!this.client) {
+      throw new Error('Not connected to MCP server');
+    }
+
+    try {
+      const result = await this.client.readResource({ uri }, { signal: options.signal });
+      return result.contents || [];
     } catch (error) {
-      throw new Error(`MCP tool call failed: ${error.message}`);
+      throw new Error(`MCP resource read failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a prompt template with the given arguments
+   */
+  async getPrompt(name, args, options = {}) {
+    if (!this.client) {
+      throw new Error('Not connected to MCP server');
+    }
+
+    try {
+      const result = await this.client.getPrompt({ name, arguments: args || {} }, { signal: options.signal });
+      return {
+        description: result.description,
+        messages: result.messages || []
+      };
+    } catch (error) {
+      throw new Error(`MCP prompt request failed: ${error.message}`);
     }
   }
 
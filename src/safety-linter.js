@@ -0,0 +1,344 @@
+/**
+ * Safety Linter - Static checks on untrusted code before it runs
+ *
+ * Each rule has a severity: 'error' blocks execution, 'warning' is reported
+ * with the result, 'off' disables the rule.
+ */
+
+const ts = require('typescript');
+const IsolatedSandbox = require('./isolated-sandbox');
+const { analyzeToolUsage } = require('./tool-usage');
+
+const SEVERITIES = new Set(['error', 'warning', 'off']);
+
+const RULES = {
+  'no-infinite-loop': {
+    severity: 'error',
+    suggestion: 'Give the loop a condition that ends it, or break out of it'
+  },
+  'no-eval': {
+    severity: 'error',
+    suggestion: 'Write the code directly instead of building it from strings'
+  },
+  'no-sandbox-internals': {
+    severity: 'error',
+    suggestion: 'Use mcp, console and setTimeout; the underscore globals are internal to the sandbox'
+  },
+  'no-prototype-pollution': {
+    severity: 'error',
+    suggestion: 'Use a helper function or your own object instead of changing built-ins'
+  },
+  'no-tool-call-in-unbounded-loop': {
+    severity: 'warning',
+    suggestion: 'Bound the loop (e.g. a maximum number of attempts) so it cannot call tools forever'
+  }
+};
+
+// Sandbox plumbing that user code has no business touching
+const INTERNALS = new Set([...IsolatedSandbox.RESERVED_GLOBALS].filter(name => name.startsWith('_')));
+const GLOBAL_OBJECTS = new Set(['global', 'globalThis']);
+const BUILTINS = new Set([
+  'Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt',
+  'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Date', 'RegExp', 'JSON', 'Math',
+  'Reflect', 'Proxy', 'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ArrayBuffer',
+  'Uint8Array', 'console', 'mcp', 'McpToolError', 'PermissionDenied'
+]);
+// Calls that mutate their first argument
+const MUTATORS = new Map([
+  ['Object', new Set(['assign', 'defineProperty', 'defineProperties', 'setPrototypeOf'])],
+  ['Reflect', new Set(['set', 'defineProperty', 'deleteProperty', 'setPrototypeOf'])]
+]);
+
+// Code is linted inside an async function, as the sandbox runs it
+const CODE_PREFIX = '(async () => {\n';
+const CODE_SUFFIX = '\n})();\n';
+
+function unwrap(node) {
+  while (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isNonNullExpression(node)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+/**
+ * Property name of an access, when it is static
+ */
+function getAccessKey(node) {
+  if (ts.isPropertyAccessExpression(node)) return node.name.text;
+  if (ts.isElementAccessExpression(node) && ts.isStringLiteralLike(node.argumentExpression)) {
+    return node.argumentExpression.text;
+  }
+  return null;
+}
+
+/**
+ * Identifier at the root of an access chain, skipping `globalThis.`
+ * (`globalThis.Array.prototype.map` -> `Array`), with the keys after it
+ */
+function getAccessPath(node) {
+  const keys = [];
+  node = unwrap(node);
+  while (ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) {
+    keys.unshift(getAccessKey(node));
+    node = unwrap(node.expression);
+  }
+  if (!ts.isIdentifier(node)) return { root: null, keys };
+  if (GLOBAL_OBJECTS.has(node.text) && keys.length > 0 && keys[0] !== null) {
+    return { root: keys[0], keys: keys.slice(1) };
+  }
+  return { root: node.text, keys };
+}
+
+/**
+ * Why changing `target` pollutes shared objects, or null when it does not
+ */
+function describePollution(target) {
+  const { root, keys } = getAccessPath(target);
+  if (keys.includes('__proto__')) return 'Changes an object prototype through __proto__';
+  if (root && BUILTINS.has(root) && (keys.length > 0 || ts.isIdentifier(unwrap(target)))) {
+    return keys[0] === 'prototype'
+      ? `Changes the built-in ${root}.prototype`
+      : `Changes the built-in ${root}`;
+  }
+  return null;
+}
+
+/**
+ * `while (true)`, `for (;;)` and other loops whose condition never changes
+ */
+function isUnboundedLoop(node) {
+  let condition;
+  if (ts.isWhileStatement(node) || ts.isDoStatement(node)) {
+    condition = node.expression;
+  } else if (ts.isForStatement(node)) {
+    condition = node.condition;
+    if (!condition) return true;
+  } else {
+    return false;
+  }
+
+  condition = unwrap(condition);
+  if (condition.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (ts.isNumericLiteral(condition)) return Number(condition.text) !== 0;
+  return ts.isPrefixUnaryExpression(condition) &&
+    condition.operator === ts.SyntaxKind.ExclamationToken &&
+    ts.isNumericLiteral(condition.operand) &&
+    Number(condition.operand.text) === 0;
+}
+
+/**
+ * Whether a loop can be left from its body: `return`, `throw`, or a `break`
+ * (or labeled `continue`) aimed at the loop or a statement around it. A plain
+ * `break` inside a nested loop or switch only leaves that statement. Nested
+ * functions are skipped; their statements do not run as part of the body.
+ */
+function canExit(loop) {
+  const ownLabels = new Set();
+  for (let node = loop.parent; ts.isLabeledStatement(node); node = node.parent) {
+    ownLabels.add(node.label.text);
+  }
+
+  let found = false;
+  const visit = (node, nested, innerLabels) => {
+    if (found || ts.isFunctionLike(node)) return;
+    if (ts.isReturnStatement(node) || ts.isThrowStatement(node)) {
+      found = true;
+    } else if (ts.isBreakStatement(node)) {
+      found = node.label ? !innerLabels.has(node.label.text) : !nested;
+    } else if (ts.isContinueStatement(node)) {
+      found = Boolean(node.label) && !innerLabels.has(node.label.text) && !ownLabels.has(node.label.text);
+    } else {
+      const labels = ts.isLabeledStatement(node) ? new Set(innerLabels).add(node.label.text) : innerLabels;
+      const nestedChildren = nested || ts.isIterationStatement(node, false) || ts.isSwitchStatement(node);
+      ts.forEachChild(node, child => visit(child, nestedChildren, labels));
+    }
+  };
+  visit(loop.statement, false, new Set());
+  return found;
+}
+
+/**
+ * Whether a loop body awaits, giving timers and the deadline a chance to run
+ */
+function yields(body) {
+  let found = false;
+  const visit = (node) => {
+    if (found || ts.isFunctionLike(node)) return;
+    if (ts.isAwaitExpression(node) || (ts.isForOfStatement(node) && node.awaitModifier)) {
+      found = true;
+      return;
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(body);
+  return found;
+}
+
+/**
+ * Whether a `.constructor(...)` call reaches the Function constructor:
+ * through a function (`(() => {}).constructor`), a constructor's own
+ * constructor (`x.constructor.constructor`), `Function.prototype` or a
+ * prototype looked up with `getPrototypeOf`
+ */
+function reachesFunctionConstructor(callee) {
+  callee = unwrap(callee);
+  if (getAccessKey(callee) !== 'constructor') return false;
+
+  const receiver = unwrap(callee.expression);
+  if (ts.isFunctionExpression(receiver) || ts.isArrowFunction(receiver)) return true;
+  if (getAccessKey(receiver) === 'constructor') return true;
+  if (getAccessPath(receiver).root === 'Function') return true;
+  if (ts.isCallExpression(receiver)) {
+    const { root, keys } = getAccessPath(receiver.expression);
+    return (root === 'Object' || root === 'Reflect') && keys.length === 1 && keys[0] === 'getPrototypeOf';
+  }
+  return false;
+}
+
+class SafetyLinter {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.rules] - Severity by rule ID,
+   *   overriding the defaults, e.g. `{ 'no-eval': 'warning' }`
+   */
+  constructor(options = {}) {
+    this.severities = {};
+    for (const [ruleId, rule] of Object.entries(RULES)) {
+      this.severities[ruleId] = rule.severity;
+    }
+
+    for (const [ruleId, severity] of Object.entries(options.rules || {})) {
+      if (!Object.prototype.hasOwnProperty.call(RULES, ruleId)) {
+        throw new Error(`Unknown lint rule '${ruleId}'. Available rules: ${Object.keys(RULES).join(', ')}`);
+      }
+      if (!SEVERITIES.has(severity)) {
+        throw new Error(`Invalid severity '${severity}' for lint rule '${ruleId}': use 'error', 'warning' or 'off'`);
+      }
+      this.severities[ruleId] = severity;
+    }
+  }
+
+  /**
+   * Lint code before it runs
+   * @param {string} code - The code as submitted
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Server namespaces for composed tools
+   * @returns {{success: boolean, errors: Object[], warnings: Object[]}} Findings
+   *   are `{ ruleId, severity, message, line, column, code, suggestion }`,
+   *   1-based in `code`; `success` is false when any finding is an error
+   */
+  lint(code, options = {}) {
+    const source = `${CODE_PREFIX}${code}${CODE_SUFFIX}`;
+    const sourceFile = ts.createSourceFile('/user-code.ts', source, ts.ScriptTarget.ES2020, true);
+    const userCodeStartLine = CODE_PREFIX.split('\n').length - 1;
+    const findings = [];
+
+    const report = (ruleId, node, message) => {
+      const severity = this.severities[ruleId];
+      if (severity === 'off') return;
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+      findings.push({
+        ruleId,
+        severity,
+        message,
+        line: line - userCodeStartLine + 1,
+        column: character + 1,
+        code: node.getText(sourceFile).split('\n')[0],
+        suggestion: RULES[ruleId].suggestion
+      });
+    };
+
+    const visit = (node) => {
+      this.checkNode(node, report);
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    this.checkToolCalls(sourceFile, report, options.namespaces);
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    const errors = findings.filter(finding => finding.severity === 'error');
+    return {
+      success: errors.length === 0,
+      errors,
+      warnings: findings.filter(finding => finding.severity === 'warning')
+    };
+  }
+
+  /**
+   * Rules that look at a single node
+   */
+  checkNode(node, report) {
+    if (isUnboundedLoop(node) && !canExit(node) && !yields(node.statement)) {
+      report('no-infinite-loop', node, 'Loop never ends: its condition is always true and its body never awaits, breaks or returns');
+    }
+
+    if (ts.isCallExpression(node) || ts.isNewExpression(node)) {
+      const { root, keys } = getAccessPath(node.expression);
+      const callee = keys.length === 0 ? root : null;
+      if (callee === 'eval' || callee === 'Function') {
+        report('no-eval', node, callee === 'eval' ? 'eval() runs code built from strings' : 'The Function constructor runs code built from strings');
+      } else if (reachesFunctionConstructor(node.expression)) {
+        report('no-eval', node, 'This .constructor call reaches the Function constructor');
+      }
+
+      if (ts.isCallExpression(node) && MUTATORS.has(root) && keys.length === 1 && MUTATORS.get(root).has(keys[0])) {
+        const reason = node.arguments.length > 0 && describePollution(node.arguments[0]);
+        if (reason) report('no-prototype-pollution', node, `${reason} with ${root}.${keys[0]}()`);
+      }
+    }
+
+    if (ts.isIdentifier(node) && INTERNALS.has(node.text) && this.isValueReference(node)) {
+      report('no-sandbox-internals', node, `'${node.text}' is internal to the sandbox`);
+    }
+    if ((ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) && INTERNALS.has(getAccessKey(node))) {
+      const object = unwrap(node.expression);
+      if (ts.isIdentifier(object) && GLOBAL_OBJECTS.has(object.text)) {
+        report('no-sandbox-internals', node, `'${getAccessKey(node)}' is internal to the sandbox`);
+      }
+    }
+
+    if (ts.isBinaryExpression(node) &&
+      node.operatorToken.kind >= ts.SyntaxKind.FirstAssignment &&
+      node.operatorToken.kind <= ts.SyntaxKind.LastAssignment) {
+      const reason = describePollution(node.left);
+      if (reason && !ts.isIdentifier(unwrap(node.left))) report('no-prototype-pollution', node, reason);
+    } else if (ts.isDeleteExpression(node)) {
+      const reason = describePollution(node.expression);
+      if (reason) report('no-prototype-pollution', node, reason);
+    }
+  }
+
+  /**
+   * Whether an identifier reads a global, as opposed to naming a property or
+   * a declaration of the user's own
+   */
+  isValueReference(node) {
+    const parent = node.parent;
+    if (ts.isPropertyAccessExpression(parent) && parent.name === node) return false;
+    if (ts.isDeclaration(parent) && parent.name === node) return ts.isShorthandPropertyAssignment(parent);
+    return !(ts.isBindingElement(parent) && parent.propertyName === node);
+  }
+
+  /**
+   * Tool calls that repeat for as long as an unbounded loop runs. Loops with
+   * a way out (e.g. polling until a result is done) are fine; awaiting the
+   * call does not count as one.
+   */
+  checkToolCalls(sourceFile, report, namespaces) {
+    const { references } = analyzeToolUsage(sourceFile, { namespaces });
+    const reported = new Set();
+
+    for (const { tool, node } of references) {
+      for (let parent = node.parent; parent && !reported.has(node); parent = parent.parent) {
+        if (isUnboundedLoop(parent) && node.pos >= parent.statement.pos && !canExit(parent)) {
+          report('no-tool-call-in-unbounded-loop', node, `mcp.${tool} is called in a loop with no end condition`);
+          reported.add(node);
+        }
+      }
+    }
+  }
+}
+
+SafetyLinter.RULES = RULES;
+
+module.exports = SafetyLinter;
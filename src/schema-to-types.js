@@ -3,9 +3,23 @@
  * Following the Cloudflare approach of generating proper TypeScript interfaces
  */
 
+// Words that cannot be used as bare identifiers (e.g. when destructuring `mcp`)
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+  'finally', 'for', 'function', 'if', 'implements', 'import', 'in',
+  'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'return', 'static', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  'arguments', 'eval', 'undefined'
+]);
+
 function sanitizeName(name) {
   // Convert tool names to valid TypeScript identifiers
-  return name.replace(/[^a-zA-Z0-9_]/g, '_');
+  let identifier = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  if (!identifier || /^[0-9]/.test(identifier)) identifier = `_${identifier}`;
+  if (RESERVED_WORDS.has(identifier)) identifier = `${identifier}_`;
+  return identifier;
 }
 
 function toPascalCase(str) {
@@ -14,32 +28,324 @@ function toPascalCase(str) {
   ).join('');
 }
 
+/**
+ * Assign every tool a unique identifier on the `mcp` object and a unique
+ * base for its type names. Tools whose name is already a valid identifier
+ * keep it; the others are sanitized and numbered on collision in name order,
+ * so the result does not depend on the order the server lists tools in.
+ * @param {Array} tools - Tools as returned by tools/list
+ * @returns {{names: Map<string, {identifier: string, typeName: string}>, warnings: string[]}}
+ *   Names keyed by original tool name, and one warning per renamed tool
+ */
+function assignToolNames(tools) {
+  const names = new Map();
+  const warnings = [];
+  const usedIdentifiers = new Set();
+  const usedTypeNames = new Set();
+
+  const unchanged = tools.filter(t => sanitizeName(t.name) === t.name);
+  const sanitized = tools
+    .filter(t => sanitizeName(t.name) !== t.name)
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const tool of [...unchanged, ...sanitized]) {
+    if (names.has(tool.name)) continue;
+
+    const baseIdentifier = sanitizeName(tool.name);
+    let identifier = baseIdentifier;
+    for (let i = 2; usedIdentifiers.has(identifier); i++) {
+      identifier = `${baseIdentifier}_${i}`;
+    }
+    usedIdentifiers.add(identifier);
+
+    if (identifier !== baseIdentifier) {
+      warnings.push(
+        `MCP tool '${tool.name}' collides with another tool named '${baseIdentifier}'; it is available as mcp.${identifier}`
+      );
+    }
+
+    let baseTypeName = toPascalCase(identifier) || 'Tool';
+    if (/^[0-9]/.test(baseTypeName)) baseTypeName = `_${baseTypeName}`;
+    let typeName = baseTypeName;
+    for (let i = 2; usedTypeNames.has(typeName); i++) {
+      typeName = `${baseTypeName}${i}`;
+    }
+    usedTypeNames.add(typeName);
+
+    names.set(tool.name, { identifier, typeName });
+  }
+
+  return { names, warnings };
+}
+
+// Content parts returned by tools (in full content mode and on McpToolError),
+// resources and prompts
+const MCP_CONTENT_TYPES = `interface McpTextContent {
+  type: "text";
+  text: string;
+}
+
+interface McpImageContent {
+  type: "image";
+  /**
+   * Base64-encoded image data
+   */
+  data: string;
+  mimeType: string;
+}
+
+interface McpResourceContents {
+  uri: string;
+  mimeType?: string;
+  text?: string;
+  /**
+   * Base64-encoded binary contents
+   */
+  blob?: string;
+}
+
+interface McpResourceContent {
+  type: "resource";
+  resource: McpResourceContents;
+}
+
+type McpContent = McpTextContent | McpImageContent | McpResourceContent;
+
+interface McpPromptMessage {
+  role: "user" | "assistant";
+  content: McpContent;
+}
+
+interface McpPromptResult {
+  description?: string;
+  messages: McpPromptMessage[];
+}
+
+/**
+ * Thrown when a tool reports a failure. Catch it to handle expected errors.
+ */
+declare class McpToolError extends Error {
+  tool: string;
+  args: unknown;
+  content: McpContent[];
+}
+
+/**
+ * Thrown when a tool call is refused by policy. Retrying will not help.
+ */
+declare class PermissionDenied extends Error {
+  tool: string;
+  reason?: string;
+}`;
+
+// Names declared above, which generated types must not reuse
+const BUILT_IN_TYPE_NAMES = [...MCP_CONTENT_TYPES.matchAll(/^(?:interface|type|declare class) (\w+)/gm)].map(m => m[1]);
+
+/**
+ * Assign every prompt a unique name for its argument interface, skipping
+ * names already taken. Like tool names, prompts whose name is a valid
+ * identifier go first and the rest are numbered on collision in name order.
+ * @param {Array} prompts - Prompts as returned by prompts/list
+ * @param {string} prefix - Namespace prefix of the server's type names
+ * @param {Set<string>} usedNames - Taken type names; the assigned ones are added
+ * @returns {Map<string, string>} Interface name keyed by prompt name
+ */
+function assignPromptNames(prompts, prefix, usedNames) {
+  const names = new Map();
+
+  const unchanged = prompts.filter(p => sanitizeName(p.name) === p.name);
+  const sanitized = prompts
+    .filter(p => sanitizeName(p.name) !== p.name)
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const prompt of [...unchanged, ...sanitized]) {
+    if (names.has(prompt.name)) continue;
+
+    const baseName = `${prefix}${toPascalCase(sanitizeName(prompt.name))}PromptArgs`;
+    let name = baseName;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = `${baseName}${i}`;
+    }
+    usedNames.add(name);
+    names.set(prompt.name, name);
+  }
+
+  return names;
+}
+
+// Property names that can be written without quotes
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Turn a $defs key (or any label) into a PascalCase type name, keeping the
+ * original casing of each word
+ */
+function toTypeName(str) {
+  const name = String(str)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+  if (!name) return 'Type';
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Create the state for converting one root schema. With naming, local $refs
+ * become named types collected in `declarations`; without it they are
+ * expanded inline and cycles collapse to `unknown`.
+ * @param {Object} root - The schema `#` refers to
+ * @param {Object} [naming]
+ * @param {string} [naming.rootName] - Type name of the root schema itself
+ * @param {string} [naming.prefix] - Prefix for types generated from $refs
+ * @param {Set<string>} [naming.usedNames] - Names already taken, shared across schemas
+ */
+function createSchemaContext(root, naming) {
+  return {
+    root,
+    rootName: naming ? naming.rootName : null,
+    prefix: naming ? naming.prefix || '' : '',
+    named: naming ? new Map() : null,
+    usedNames: naming ? naming.usedNames || new Set() : null,
+    declarations: [],
+    inlining: new Set()
+  };
+}
+
+/**
+ * Resolve a local JSON pointer such as `#/$defs/Address`
+ */
+function resolvePointer(root, ref) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) return undefined;
+
+  let node = root;
+  for (const segment of ref.slice(2).split('/')) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object' || !(key in node)) return undefined;
+    node = node[key];
+  }
+  return node;
+}
+
+function refToTypeScript(ref, indent, ctx) {
+  const target = resolvePointer(ctx.root, ref);
+  if (target === undefined) return 'unknown';
+
+  if (!ctx.named) {
+    if (ctx.inlining.has(ref)) return 'unknown';
+    ctx.inlining.add(ref);
+    const type = jsonSchemaToTypeScript(target, indent, ctx);
+    ctx.inlining.delete(ref);
+    return type;
+  }
+
+  if (ref === '#' && ctx.rootName) return ctx.rootName;
+  if (ctx.named.has(ref)) return ctx.named.get(ref);
+
+  // Reserve the name before converting so recursive refs resolve to it
+  const baseName = ctx.prefix + toTypeName(ref.split('/').pop());
+  let name = baseName;
+  for (let i = 2; ctx.usedNames.has(name); i++) {
+    name = `${baseName}${i}`;
+  }
+  ctx.usedNames.add(name);
+  ctx.named.set(ref, name);
+
+  ctx.declarations.push(declareType(name, jsonSchemaToTypeScript(target, 0, ctx)));
+  return name;
+}
+
+function unionOf(types) {
+  const unique = [...new Set(types)];
+  if (unique.includes('unknown')) return 'unknown';
+  return unique.join(' | ');
+}
+
+function parenthesize(type) {
+  return /[|&]/.test(type) ? `(${type})` : type;
+}
+
+function arrayOf(type) {
+  return /[|&]/.test(type) ? `Array<${type}>` : `${type}[]`;
+}
+
+function formatComment(description, spaces) {
+  const text = description.replace(/\*\//g, '*\\/');
+  return `${spaces}/**\n${spaces} * ${text.replace(/\n/g, `\n${spaces} * `)}\n${spaces} */\n`;
+}
+
+/**
+ * Whether a schema has keywords that describe a type on their own
+ */
+function hasOwnShape(schema) {
+  return ['type', 'properties', 'additionalProperties', 'items', 'prefixItems', 'enum', 'const', '$ref']
+    .some(key => key in schema);
+}
+
 /**
  * Convert JSON Schema to TypeScript type
+ * @param {Object|boolean} schema - JSON Schema (draft-07 or 2020-12)
+ * @param {number} [indent=0] - Indentation of the enclosing declaration
+ * @param {Object} [ctx] - Conversion state from createSchemaContext()
  */
-function jsonSchemaToTypeScript(schema, indent = 0) {
-  const spaces = ' '.repeat(indent);
+function jsonSchemaToTypeScript(schema, indent = 0, ctx = createSchemaContext(schema)) {
+  if (schema === false) return 'never';
+  if (!schema || typeof schema !== 'object') return 'unknown';
 
-  if (!schema) return 'unknown';
+  // Local references ($defs, definitions, or any pointer into the root)
+  if (typeof schema.$ref === 'string') {
+    return refToTypeScript(schema.$ref, indent, ctx);
+  }
+
+  // OpenAPI-style nullable
+  if (schema.nullable === true) {
+    const { nullable, ...rest } = schema;
+    return unionOf([jsonSchemaToTypeScript(rest, indent, ctx), 'null']);
+  }
 
-  // Handle anyOf/oneOf/allOf
-  if (schema.anyOf) {
-    return schema.anyOf.map(s => jsonSchemaToTypeScript(s, indent)).join(' | ');
+  // Literal types
+  if ('const' in schema) {
+    return JSON.stringify(schema.const);
   }
-  if (schema.oneOf) {
-    return schema.oneOf.map(s => jsonSchemaToTypeScript(s, indent)).join(' | ');
+  if (Array.isArray(schema.enum)) {
+    return unionOf(schema.enum.map(value => JSON.stringify(value)));
   }
-  if (schema.allOf) {
-    // For allOf, we'd need intersection types, simplify for now
-    return jsonSchemaToTypeScript(schema.allOf[0], indent);
+
+  // Handle allOf as an intersection, together with any sibling keywords
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const parts = allOf.map(s => jsonSchemaToTypeScript(s, indent, ctx));
+    if (hasOwnShape(rest)) parts.unshift(jsonSchemaToTypeScript(rest, indent, ctx));
+    const known = parts.filter(part => part !== 'unknown');
+    return known.length > 0 ? known.map(parenthesize).join(' & ') : 'unknown';
+  }
+
+  // Handle anyOf/oneOf as a union, narrowed by any sibling keywords
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives)) {
+    const { anyOf, oneOf, ...rest } = schema;
+    const union = unionOf(alternatives.map(s => jsonSchemaToTypeScript(s, indent, ctx)));
+    if (!hasOwnShape(rest)) return union;
+
+    const base = jsonSchemaToTypeScript(rest, indent, ctx);
+    return union === 'unknown' ? base : `${parenthesize(base)} & ${parenthesize(union)}`;
+  }
+
+  // `type: ["string", "null"]` and similar
+  if (Array.isArray(schema.type)) {
+    return unionOf(schema.type.map(type => jsonSchemaToTypeScript({ ...schema, type }, indent, ctx)));
+  }
+
+  // Infer the type from other keywords when `type` is missing
+  let type = schema.type;
+  if (!type) {
+    if (schema.properties || schema.additionalProperties !== undefined) type = 'object';
+    else if (schema.items || schema.prefixItems) type = 'array';
   }
 
-  // Handle basic types
-  switch (schema.type) {
+  switch (type) {
     case 'string':
-      if (schema.enum) {
-        return schema.enum.map(v => `"${v}"`).join(' | ');
-      }
       return 'string';
 
     case 'number':
@@ -53,97 +359,357 @@ function jsonSchemaToTypeScript(schema, indent = 0) {
       return 'null';
 
     case 'array':
-      const itemType = schema.items
-        ? jsonSchemaToTypeScript(schema.items, indent)
-        : 'unknown';
-      return `${itemType}[]`;
+      return arraySchemaToTypeScript(schema, indent, ctx);
 
     case 'object':
-      if (!schema.properties) {
-        // Generic object
-        if (schema.additionalProperties === false) {
-          return '{}';
-        }
-        return 'Record<string, unknown>';
-      }
-
-      // Build interface properties
-      const props = Object.entries(schema.properties).map(([key, propSchema]) => {
-        const required = schema.required?.includes(key) ?? false;
-        const optionalMark = required ? '' : '?';
-        const description = propSchema.description;
-
-        // Add JSDoc comment if description exists
-        const comment = description
-          ? `${spaces}  /**\n${spaces}   * ${description.replace(/\n/g, `\n${spaces}   * `)}\n${spaces}   */\n`
-          : '';
-
-        const propType = jsonSchemaToTypeScript(propSchema, indent + 2);
-        return `${comment}${spaces}  ${key}${optionalMark}: ${propType};`;
-      }).join('\n');
-
-      // Handle additionalProperties
-      let additionalProps = '';
-      if (schema.additionalProperties && schema.additionalProperties !== false) {
-        const additionalType = typeof schema.additionalProperties === 'object'
-          ? jsonSchemaToTypeScript(schema.additionalProperties, indent + 2)
-          : 'unknown';
-        additionalProps = `\n${spaces}  [key: string]: ${additionalType};`;
-      }
-
-      return `{\n${props}${additionalProps}\n${spaces}}`;
+      return objectSchemaToTypeScript(schema, indent, ctx);
 
     default:
       return 'unknown';
   }
 }
 
+function arraySchemaToTypeScript(schema, indent, ctx) {
+  // Tuples: `prefixItems` (2020-12) or an `items` array (draft-07)
+  const tupleItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+
+  if (!tupleItems) {
+    const itemType = schema.items !== undefined
+      ? jsonSchemaToTypeScript(schema.items, indent, ctx)
+      : 'unknown';
+    return arrayOf(itemType);
+  }
+
+  const minItems = schema.minItems || 0;
+  const elements = tupleItems.map((item, i) => {
+    const elementType = jsonSchemaToTypeScript(item, indent, ctx);
+    return i < minItems ? elementType : `${parenthesize(elementType)}?`;
+  });
+
+  // Items after the tuple part: open unless explicitly closed
+  const rest = schema.prefixItems ? schema.items : schema.additionalItems;
+  if (rest !== false) {
+    const restType = rest === undefined || rest === true
+      ? 'unknown'
+      : jsonSchemaToTypeScript(rest, indent, ctx);
+    elements.push(`...${arrayOf(restType)}`);
+  }
+
+  return `[${elements.join(', ')}]`;
+}
+
+function objectSchemaToTypeScript(schema, indent, ctx) {
+  const spaces = ' '.repeat(indent);
+  const additional = schema.additionalProperties;
+
+  if (!schema.properties) {
+    // Generic object
+    if (additional === false) {
+      return '{}';
+    }
+    if (additional && typeof additional === 'object') {
+      return `Record<string, ${jsonSchemaToTypeScript(additional, indent, ctx)}>`;
+    }
+    return 'Record<string, unknown>';
+  }
+
+  // Build interface properties
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const props = Object.entries(schema.properties).map(([key, propSchema]) => {
+    const optionalMark = required.includes(key) ? '' : '?';
+    const propName = IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key);
+
+    // Add JSDoc comment if description exists
+    const comment = propSchema && typeof propSchema.description === 'string'
+      ? formatComment(propSchema.description, `${spaces}  `)
+      : '';
+
+    const propType = jsonSchemaToTypeScript(propSchema, indent + 2, ctx);
+    return `${comment}${spaces}  ${propName}${optionalMark}: ${propType};`;
+  }).join('\n');
+
+  // Handle additionalProperties
+  let additionalProps = '';
+  if (additional && additional !== false) {
+    const additionalType = typeof additional === 'object'
+      ? jsonSchemaToTypeScript(additional, indent + 2, ctx)
+      : 'unknown';
+    additionalProps = `\n${spaces}  [key: string]: ${additionalType};`;
+  }
+
+  return `{\n${props}${additionalProps}\n${spaces}}`;
+}
+
 /**
- * Generate TypeScript definitions from MCP tools
+ * Whether a generated type is exactly one object literal, as opposed to one
+ * that only starts with it (`{ ... } & { ... }`, `{ ... } | null`). Braces in
+ * string literal types and doc comments are skipped.
+ */
+function isObjectLiteralType(type) {
+  if (!type.startsWith('{')) return false;
+
+  let depth = 0;
+  for (let i = 0; i < type.length; i++) {
+    const char = type[i];
+    if (char === '"') {
+      for (i++; i < type.length && type[i] !== '"'; i++) {
+        if (type[i] === '\\') i++;
+      }
+    } else if (char === '/' && type[i + 1] === '*') {
+      const end = type.indexOf('*/', i + 2);
+      i = end === -1 ? type.length : end + 1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return type.slice(i + 1).trim() === '';
+    }
+  }
+  return false;
+}
+
+/**
+ * Declare a named type, using an interface for a single object literal and a
+ * type alias for everything else (unions, intersections, Record<...>, primitives)
+ */
+function declareType(name, type) {
+  return isObjectLiteralType(type)
+    ? `interface ${name} ${type}`
+    : `type ${name} = ${type};`;
+}
+
+/**
+ * Generate the interfaces and `mcp` method signatures for a list of tools.
+ * The prefix keeps interface names apart when several servers are combined.
+ * @param {Map} names - From `assignToolNames()`
+ * @param {Set<string>} usedNames - Taken type names, shared with the types
+ *   generated from $refs
  */
-function generateTypeScriptDefinitions(tools) {
+function generateToolDeclarations(tools, names, prefix, options, usedNames) {
   const interfaces = [];
   const toolMethods = [];
 
+  const convert = (schema, typeName, pascalName) => {
+    const ctx = createSchemaContext(schema, { rootName: typeName, prefix: pascalName, usedNames });
+    const type = jsonSchemaToTypeScript(schema, 0, ctx);
+    return [declareType(typeName, type), ...ctx.declarations];
+  };
+
   for (const tool of tools) {
-    const safeName = sanitizeName(tool.name);
-    const pascalName = toPascalCase(tool.name);
+    const { identifier, typeName } = names.get(tool.name);
+    const pascalName = prefix + typeName;
 
     // Generate input interface
     const inputInterfaceName = `${pascalName}Input`;
     const inputSchema = tool.inputSchema || { type: 'object', properties: {} };
-    const inputType = jsonSchemaToTypeScript(inputSchema);
-
-    interfaces.push(`interface ${inputInterfaceName} ${inputType}`);
+    interfaces.push(...convert(inputSchema, inputInterfaceName, pascalName));
 
-    // Generate output interface (MCP doesn't provide output schemas, so we use a generic type)
+    // Generate output interface from outputSchema when the server declares one,
+    // otherwise fall back to a generic type (older servers have no output schemas)
     const outputInterfaceName = `${pascalName}Output`;
-    interfaces.push(`interface ${outputInterfaceName} {\n  [key: string]: any;\n}`);
+    if (options.toolResult === 'content') {
+      interfaces.push(declareType(outputInterfaceName, 'McpContent[]'));
+    } else if (tool.outputSchema) {
+      interfaces.push(...convert(tool.outputSchema, outputInterfaceName, pascalName));
+    } else {
+      interfaces.push(declareType(outputInterfaceName, '{\n  [key: string]: any;\n}'));
+    }
 
-    // Generate method signature with JSDoc
-    const description = tool.description
-      ? `  /**\n   * ${tool.description.replace(/\n/g, '\n   * ')}\n   */\n`
-      : '';
+    // Generate method signature with JSDoc, naming the server-side tool
+    // when it differs from the identifier
+    const docText = [
+      tool.description,
+      identifier !== tool.name ? `MCP tool: ${tool.name}` : null
+    ].filter(Boolean).join('\n\n');
+    const description = docText ? formatComment(docText, '  ') : '';
 
     toolMethods.push(
-      `${description}  ${safeName}: (\n    input: ${inputInterfaceName}\n  ) => Promise<${outputInterfaceName}>;`
+      `${description}  ${identifier}: (\n    input: ${inputInterfaceName}\n  ) => Promise<${outputInterfaceName}>;`
+    );
+  }
+
+  return { interfaces, toolMethods };
+}
+
+/**
+ * Generate the `$resources` and `$prompts` helpers for a server's resources,
+ * resource templates and prompts. Helpers are omitted when the server
+ * publishes nothing of that kind.
+ * @param {Map<string, string>} promptNames - From `assignPromptNames()`
+ */
+function generateCatalogDeclarations(catalog, promptNames) {
+  const { resources = [], resourceTemplates = [], prompts = [] } = catalog;
+  const interfaces = [];
+  const members = [];
+
+  if (resources.length > 0 || resourceTemplates.length > 0) {
+    const docLines = ['Read an MCP resource by URI'];
+    if (resources.length > 0) {
+      docLines.push('', 'Resources:');
+      for (const resource of resources) {
+        const label = resource.description || resource.name;
+        docLines.push(`- ${resource.uri}${label ? ` (${label})` : ''}`);
+      }
+    }
+    if (resourceTemplates.length > 0) {
+      docLines.push('', 'URI templates:');
+      for (const template of resourceTemplates) {
+        const label = template.description || template.name;
+        docLines.push(`- ${template.uriTemplate}${label ? ` (${label})` : ''}`);
+      }
+    }
+
+    members.push(
+      `  $resources: {\n${formatComment(docLines.join('\n'), '    ').replace(/ \* \n/g, ' *\n')}` +
+      `    read: (uri: string) => Promise<McpResourceContents[]>;\n  };`
     );
   }
 
+  if (prompts.length > 0) {
+    const overloads = prompts.map(prompt => {
+      const argsInterfaceName = promptNames.get(prompt.name);
+      const properties = {};
+      const required = [];
+      for (const arg of prompt.arguments || []) {
+        properties[arg.name] = { type: 'string', description: arg.description };
+        if (arg.required) required.push(arg.name);
+      }
+      interfaces.push(declareType(argsInterfaceName, jsonSchemaToTypeScript({ type: 'object', properties, required })));
+
+      const description = prompt.description
+        ? formatComment(prompt.description, '    ')
+        : '';
+      const argsOptional = required.length === 0 ? '?' : '';
+      return `${description}    get(name: ${JSON.stringify(prompt.name)}, args${argsOptional}: ${argsInterfaceName}): Promise<McpPromptResult>;`;
+    });
+
+    members.push(`  $prompts: {\n${overloads.join('\n\n')}\n  };`);
+  }
+
+  return { interfaces, members };
+}
+
+/**
+ * Generate the interfaces and `mcp` members of one server. Every type name
+ * is unique within `usedNames`: tool interfaces keep theirs, and prompt
+ * arguments and then types from $refs are numbered around them.
+ * @param {Object} server - `{ tools, resources, resourceTemplates, prompts }`
+ * @param {string} prefix - Namespace prefix of the server's type names
+ * @param {Object} options - Same options as generateTypeScriptDefinitions
+ * @param {Set<string>} usedNames - Taken type names; generated ones are added
+ */
+function generateServerDeclarations(server, prefix, options, usedNames) {
+  const { names } = assignToolNames(server.tools);
+  for (const { typeName } of names.values()) {
+    usedNames.add(`${prefix}${typeName}Input`).add(`${prefix}${typeName}Output`);
+  }
+  const promptNames = assignPromptNames(server.prompts || [], prefix, usedNames);
+
+  const declarations = generateToolDeclarations(server.tools, names, prefix, options, usedNames);
+  const catalog = generateCatalogDeclarations(server, promptNames);
+  return {
+    interfaces: [...declarations.interfaces, ...catalog.interfaces],
+    members: [...declarations.toolMethods, ...catalog.members]
+  };
+}
+
+/**
+ * Generate TypeScript definitions from MCP tools
+ * @param {Array} tools - Tools as returned by tools/list
+ * @param {Object} [options]
+ * @param {'parsed'|'content'} [options.toolResult] - Shape of tool results
+ * @param {Array} [options.resources] - Resources as returned by resources/list
+ * @param {Array} [options.resourceTemplates] - Templates from resources/templates/list
+ * @param {Array} [options.prompts] - Prompts as returned by prompts/list
+ */
+function generateTypeScriptDefinitions(tools, options = {}) {
+  const { interfaces, members } = generateServerDeclarations(
+    { ...options, tools },
+    '',
+    options,
+    new Set(BUILT_IN_TYPE_NAMES)
+  );
+
   // Build the complete TypeScript declaration
   const typeDefinitions = `// TypeScript definitions for MCP tools
-${interfaces.join('\n\n')}
+${[MCP_CONTENT_TYPES, ...interfaces].join('\n\n')}
 
 declare const mcp: {
-${toolMethods.join('\n\n')}
+${members.join('\n\n')}
 };`;
 
   return typeDefinitions;
 }
 
+/**
+ * Assign every namespace a unique prefix for its type names. Namespaces that
+ * share a PascalCase form (`fs` and `FS`) are numbered in order, as is any
+ * whose tool interfaces would clash with an earlier server's.
+ * @param {Object<string, Array>} toolsByNamespace - Tools keyed by namespace
+ * @returns {Map<string, string>} Prefix keyed by namespace
+ */
+function assignNamespacePrefixes(toolsByNamespace) {
+  const prefixes = new Map();
+  const usedPrefixes = new Set();
+  const usedNames = new Set(BUILT_IN_TYPE_NAMES);
+
+  for (const [namespace, tools] of Object.entries(toolsByNamespace)) {
+    const typeNames = [...assignToolNames(tools).names.values()]
+      .flatMap(({ typeName }) => [`${typeName}Input`, `${typeName}Output`]);
+
+    const basePrefix = toPascalCase(namespace);
+    let prefix = basePrefix;
+    for (let i = 2; usedPrefixes.has(prefix) || typeNames.some(name => usedNames.has(prefix + name)); i++) {
+      prefix = `${basePrefix}${i}`;
+    }
+    usedPrefixes.add(prefix);
+    typeNames.forEach(name => usedNames.add(prefix + name));
+    prefixes.set(namespace, prefix);
+  }
+
+  return prefixes;
+}
+
+/**
+ * Generate TypeScript definitions for several servers, each under its own
+ * namespace of the `mcp` object (e.g. `mcp.fs.read_file`)
+ * @param {Object<string, Object>} serversByNamespace - `{ tools, resources,
+ *   resourceTemplates, prompts }` keyed by namespace
+ * @param {Object} [options] - Same options as generateTypeScriptDefinitions
+ */
+function generateNamespacedDefinitions(serversByNamespace, options = {}) {
+  const interfaces = [MCP_CONTENT_TYPES];
+  const namespaces = [];
+  const usedNames = new Set(BUILT_IN_TYPE_NAMES);
+  const prefixes = assignNamespacePrefixes(
+    Object.fromEntries(Object.entries(serversByNamespace).map(([namespace, server]) => [namespace, server.tools]))
+  );
+
+  for (const [namespace, server] of Object.entries(serversByNamespace)) {
+    const prefix = prefixes.get(namespace);
+    const declarations = generateServerDeclarations(server, prefix, options, usedNames);
+    interfaces.push(`// Server: ${namespace}`, ...declarations.interfaces);
+
+    const methods = declarations.members.join('\n\n').replace(/^(?=.)/gm, '  ');
+    namespaces.push(`  ${namespace}: {\n${methods}\n  };`);
+  }
+
+  return `// TypeScript definitions for MCP tools
+${interfaces.join('\n\n')}
+
+declare const mcp: {
+${namespaces.join('\n\n')}
+};`;
+}
+
 module.exports = {
   generateTypeScriptDefinitions,
+  generateNamespacedDefinitions,
   jsonSchemaToTypeScript,
+  createSchemaContext,
+  resolvePointer,
+  assignToolNames,
+  assignNamespacePrefixes,
   sanitizeName,
   toPascalCase
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Checks tool arguments against a JSON Schema on the host, before they are
+ * sent to the MCP server. Supports the same keywords schema-to-types.js turns
+ * into TypeScript ($ref, allOf, anyOf/oneOf, const, enum, type arrays,
+ * nullable, tuples), so runtime checks agree with the generated types.
+ */
+
+const { resolvePointer } = require('./schema-to-types');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => isDeepEqual(a[key], b[key]));
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER_PATTERN.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeError(path, expected, value) {
+  return { path, expected, message: `${path}: expected ${expected}, got ${jsonTypeOf(value)}` };
+}
+
+/**
+ * Validate a value against a schema, collecting every problem found
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path reported in messages (e.g. `args`)
+ * @param {Object} root - Schema local `$ref`s resolve against
+ * @param {Set<Object>} [active] - Schemas already being applied to this
+ *   same value, through `$ref`, `allOf` or alternatives
+ * @returns {Array<{path: string, message: string, expected?: string}>}
+ */
+function check(schema, value, path, root, active = new Set()) {
+  if (schema === true || schema === undefined || schema === null) return [];
+  if (schema === false) return [{ path, message: `${path}: not allowed` }];
+  if (typeof schema !== 'object') return [];
+
+  // A cycle of refs that consumes no structure constrains nothing (the
+  // generated types fall back to `unknown` the same way)
+  if (active.has(schema)) return [];
+  active = new Set(active).add(schema);
+
+  if (typeof schema.$ref === 'string') {
+    const target = resolvePointer(root, schema.$ref);
+    // Unresolvable (e.g. remote) refs are typed `unknown`, so accept anything
+    return target === undefined ? [] : check(target, value, path, root, active);
+  }
+
+  if (schema.nullable === true && value === null) return [];
+
+  if ('const' in schema) {
+    return isDeepEqual(schema.const, value)
+      ? []
+      : [{ path, message: `${path}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` }];
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.some(option => isDeepEqual(option, value))
+      ? []
+      : [{
+        path,
+        message: `${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`
+      }];
+  }
+
+  const errors = [];
+
+  if (Array.isArray(schema.allOf)) {
+    for (const part of schema.allOf) {
+      errors.push(...check(part, value, path, root, active));
+    }
+  }
+
+  // oneOf is checked like anyOf, matching the union type generated for it
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives)) {
+    errors.push(...checkAlternatives(alternatives, value, path, root, active));
+  }
+
+  errors.push(...checkType(schema, value, path, root));
+  return errors;
+}
+
+function checkAlternatives(alternatives, value, path, root, active) {
+  const results = alternatives.map(alternative => check(alternative, value, path, root, active));
+  if (results.some(result => result.length === 0)) return [];
+
+  // Plain type mismatches read best as one "expected A | B" message
+  const allTypeMismatches = results.every(result =>
+    result.length === 1 && result[0].path === path && result[0].expected
+  );
+  if (allTypeMismatches) {
+    const expected = [...new Set(results.map(result => result[0].expected))].join(' | ');
+    return [typeError(path, expected, value)];
+  }
+
+  // Otherwise report the alternative that came closest
+  return results.reduce((best, result) => (result.length < best.length ? result : best));
+}
+
+function checkType(schema, value, path, root) {
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : null;
+
+  if (types) {
+    if (!types.some(type => matchesType(value, type))) {
+      return [typeError(path, types.join(' | '), value)];
+    }
+  }
+
+  if (matchesType(value, 'object') && (!types || types.includes('object'))) {
+    return checkObject(schema, value, path, root);
+  }
+  if (Array.isArray(value) && (!types || types.includes('array'))) {
+    return checkArray(schema, value, path, root);
+  }
+  return [];
+}
+
+function checkObject(schema, value, path, root) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const key of Array.isArray(schema.required) ? schema.required : []) {
+    if (value[key] === undefined) {
+      errors.push({ path, message: `${path}: missing required property '${key}'` });
+    }
+  }
+
+  for (const [key, propValue] of Object.entries(value)) {
+    const propPath = childPath(path, key);
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      if (propValue !== undefined) {
+        errors.push(...check(properties[key], propValue, propPath, root));
+      }
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: propPath, message: `${propPath}: unexpected property` });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      errors.push(...check(schema.additionalProperties, propValue, propPath, root));
+    }
+  }
+
+  return errors;
+}
+
+function checkArray(schema, value, path, root) {
+  const errors = [];
+  const tupleItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+
+  if (!tupleItems) {
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...check(schema.items, item, childPath(path, i), root)));
+    }
+    return errors;
+  }
+
+  if (schema.minItems && value.length < schema.minItems) {
+    errors.push({ path, message: `${path}: expected at least ${schema.minItems} items, got ${value.length}` });
+  }
+
+  const rest = schema.prefixItems ? schema.items : schema.additionalItems;
+  value.forEach((item, i) => {
+    const itemPath = childPath(path, i);
+    if (i < tupleItems.length) {
+      errors.push(...check(tupleItems[i], item, itemPath, root));
+    } else if (rest === false) {
+      errors.push({ path: itemPath, message: `${itemPath}: unexpected item` });
+    } else if (rest && typeof rest === 'object') {
+      errors.push(...check(rest, item, itemPath, root));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object|boolean} schema - JSON Schema, also used as the `$ref` root
+ * @param {*} value - Value to check
+ * @param {string} [path='args'] - Name of the value in error messages
+ * @returns {string[]} Path-precise messages, e.g. `args.options.limit: expected number, got string`
+ */
+function validateAgainstSchema(schema, value, path = 'args') {
+  return check(schema, value, path, schema).map(error => error.message);
+}
+
+module.exports = {
+  validateAgainstSchema
+};
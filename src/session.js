@@ -0,0 +1,147 @@
+/**
+ * Session - REPL-style executions that keep top-level variables between steps
+ */
+
+const IsolatedSandbox = require('./isolated-sandbox');
+
+const DEFAULT_IDLE_TIMEOUT = 10 * 60 * 1000; // ms
+
+class Session {
+  /**
+   * @param {Object} codeMode - The connected MCPCodeMode instance
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout=600000] - Dispose the session after
+   *   this long without an execution (ms); 0 disables it
+   */
+  constructor(codeMode, options = {}) {
+    this.codeMode = codeMode;
+    this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT;
+    this.environment = null;
+    this.variables = new Map(); // name -> TypeScript type
+    this.typeDeclarations = new Map(); // name -> type alias / interface source
+    this.queue = Promise.resolve();
+    this.idleTimer = null;
+    this.disposed = false;
+
+    this.touch();
+  }
+
+  /**
+   * Run code in the session. Top-level variables, functions and classes stay
+   * available to later executions. Executions are run one at a time.
+   */
+  async execute(code, options = {}) {
+    if (this.disposed) {
+      throw new Error('Session has been disposed');
+    }
+
+    const run = this.queue.then(() => {
+      // No idle expiry while a step is running
+      clearTimeout(this.idleTimer);
+      return this.codeMode.executeCode(code, options, this);
+    });
+    this.queue = run.catch(() => {});
+
+    try {
+      return await run;
+    } finally {
+      this.touch();
+    }
+  }
+
+  /**
+   * The session's isolate, created on first use. Timeouts, aborts and memory
+   * errors dispose it, and the variables go with it.
+   */
+  async getEnvironment() {
+    this.checkEnvironment();
+    if (!this.environment) {
+      this.environment = await this.codeMode.sandbox.createEnvironment();
+    }
+    return this.environment;
+  }
+
+  checkEnvironment() {
+    if (this.environment && this.environment.disposed) {
+      this.environment = null;
+      this.variables.clear();
+      this.typeDeclarations.clear();
+    }
+  }
+
+  /**
+   * Ambient declarations for the variables defined so far, used to
+   * type-check the next step
+   */
+  getDeclarations() {
+    this.checkEnvironment();
+
+    const lines = [...this.typeDeclarations.values()];
+    for (const [name, type] of this.variables) {
+      lines.push(`declare var ${name}: ${type};`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Remember what a step declared
+   * @param {string[]} names - Variables persisted by the run
+   * @param {Object} [declarations] - Types from validation, when it ran
+   */
+  recordDeclarations(names, declarations) {
+    const types = new Map((declarations ? declarations.values : []).map(v => [v.name, v.type]));
+
+    for (const name of names) {
+      if (IsolatedSandbox.RESERVED_GLOBALS.has(name)) continue;
+      this.variables.set(name, types.get(name) || 'any');
+    }
+    for (const { name, text } of declarations ? declarations.types : []) {
+      this.typeDeclarations.set(name, text);
+    }
+  }
+
+  /**
+   * Context for the LLM: the MCP API plus the variables from earlier steps
+   */
+  getContext() {
+    const declarations = this.getDeclarations();
+    const context = this.codeMode.getContext();
+    if (!declarations) return context;
+
+    return `${context}
+
+// Variables from earlier steps, still in scope:
+${declarations}`;
+  }
+
+  /**
+   * Forget all variables; the next execution starts in a fresh isolate
+   */
+  async reset() {
+    if (this.environment) {
+      this.codeMode.sandbox.disposeEnvironment(this.environment);
+    }
+    this.environment = null;
+    this.variables.clear();
+    this.typeDeclarations.clear();
+  }
+
+  async dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    clearTimeout(this.idleTimer);
+    await this.reset();
+    this.codeMode.sessions.delete(this);
+  }
+
+  touch() {
+    clearTimeout(this.idleTimer);
+    if (this.disposed || !this.idleTimeout) return;
+
+    this.idleTimer = setTimeout(() => this.dispose(), this.idleTimeout);
+    // An idle session should not keep the process alive
+    this.idleTimer.unref();
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,149 @@
+/**
+ * Source Map - Minimal source map v3 support for mapping sandbox positions
+ * back to the user's TypeScript
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeVLQ(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of text) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let text = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    text += BASE64[digit];
+  } while (vlq > 0);
+  return text;
+}
+
+/**
+ * Decode `mappings` into absolute segments, one array per generated line
+ * @returns {Array<Array<number[]>>} `[generatedColumn, source, line, column]` segments
+ */
+function decodeMappings(mappings) {
+  let source = 0;
+  let line = 0;
+  let column = 0;
+
+  return mappings.split(';').map(group => {
+    let generatedColumn = 0;
+    return group.split(',').filter(Boolean).map(text => {
+      const fields = decodeVLQ(text);
+      generatedColumn += fields[0];
+      if (fields.length < 4) return [generatedColumn];
+
+      source += fields[1];
+      line += fields[2];
+      column += fields[3];
+      return [generatedColumn, source, line, column];
+    });
+  });
+}
+
+/**
+ * Encode absolute segments back into a `mappings` string
+ */
+function encodeMappings(lines) {
+  let source = 0;
+  let line = 0;
+  let column = 0;
+
+  return lines.map(segments => {
+    let generatedColumn = 0;
+    return segments.map(segment => {
+      let text = encodeVLQ(segment[0] - generatedColumn);
+      generatedColumn = segment[0];
+      if (segment.length >= 4) {
+        text += encodeVLQ(segment[1] - source) + encodeVLQ(segment[2] - line) + encodeVLQ(segment[3] - column);
+        source = segment[1];
+        line = segment[2];
+        column = segment[3];
+      }
+      return text;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Cut a map down to a range of generated lines and shift original lines, for
+ * code extracted from a larger emitted file
+ * @param {Object} map - Source map of the whole file
+ * @param {number} fromLine - First generated line kept (0-based)
+ * @param {number} toLine - Line after the last one kept
+ * @param {number} lineShift - Subtracted from original lines
+ * @param {Object} [fields] - `file`, `sources` and `sourcesContent` of the new map
+ */
+function sliceSourceMap(map, fromLine, toLine, lineShift, fields = {}) {
+  const lines = decodeMappings(map.mappings).slice(fromLine, toLine).map(segments =>
+    segments
+      .filter(segment => segment.length < 4 || segment[2] - lineShift >= 0)
+      .map(segment => (segment.length < 4
+        ? segment
+        : [segment[0], segment[1], segment[2] - lineShift, segment[3]]))
+  );
+
+  return {
+    version: 3,
+    file: fields.file,
+    sources: fields.sources || map.sources,
+    sourcesContent: fields.sourcesContent,
+    names: [],
+    mappings: encodeMappings(lines)
+  };
+}
+
+/**
+ * Find the original position of a generated one
+ * @param {Object} map - Source map
+ * @param {number} line - Generated line (1-based)
+ * @param {number} column - Generated column (1-based)
+ * @returns {{line: number, column: number}|null} Original position (1-based)
+ */
+function originalPositionFor(map, line, column) {
+  const segments = decodeMappings(map.mappings)[line - 1];
+  if (!segments) return null;
+
+  // The last mapped segment at or before the column, else the line's first
+  let match = null;
+  for (const segment of segments) {
+    if (segment.length < 4) continue;
+    if (match && segment[0] > column - 1) break;
+    match = segment;
+  }
+  return match ? { line: match[2] + 1, column: match[3] + 1 } : null;
+}
+
+/**
+ * A `//# sourceMappingURL` comment embedding the map
+ */
+function inlineSourceMapComment(map) {
+  return `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+}
+
+module.exports = {
+  decodeMappings,
+  encodeMappings,
+  sliceSourceMap,
+  originalPositionFor,
+  inlineSourceMapComment
+};
@@ -0,0 +1,123 @@
+/**
+ * Tool Call Limiter - Enforces per-execution call budgets and concurrency
+ */
+
+const { ToolCallLimitError } = require('./errors.js');
+
+/**
+ * Throw unless `value` is unset, Infinity or an integer of at least `min`
+ */
+function checkLimit(name, value, min) {
+  if (value === undefined || value === Infinity) return;
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${name}: expected an integer of at least ${min}, got ${JSON.stringify(value)}`);
+  }
+}
+
+class ToolCallLimiter {
+  /**
+   * @param {Object} [limits]
+   * @param {number} [limits.maxToolCalls] - Calls allowed in one execution;
+   *   0 allows none
+   * @param {number} [limits.maxConcurrentToolCalls] - Calls in flight at once
+   *   (at least 1); further calls wait for a slot
+   * @param {Object<string, number>} [limits.perToolLimits] - Calls allowed per
+   *   tool, keyed by the name used in code (`read_file`, `fs.read_file`)
+   */
+  constructor({ maxToolCalls, maxConcurrentToolCalls, perToolLimits } = {}) {
+    checkLimit('maxToolCalls', maxToolCalls, 0);
+    checkLimit('maxConcurrentToolCalls', maxConcurrentToolCalls, 1);
+    if (perToolLimits !== undefined && (perToolLimits === null || typeof perToolLimits !== 'object')) {
+      throw new Error('Invalid perToolLimits: expected an object of tool name -> limit');
+    }
+    for (const [tool, limit] of Object.entries(perToolLimits || {})) {
+      checkLimit(`perToolLimits['${tool}']`, limit, 0);
+    }
+
+    this.maxToolCalls = maxToolCalls;
+    this.maxConcurrentToolCalls = maxConcurrentToolCalls;
+    this.perToolLimits = perToolLimits || {};
+    this.counts = {};
+    this.total = 0;
+    this.active = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Run a call once it fits the budget and a concurrency slot is free
+   */
+  async run(tool, call) {
+    this.reserve(tool);
+    await this.acquire();
+    try {
+      return await call();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Count a call, rejecting it if it would exceed a budget
+   */
+  reserve(tool) {
+    if (this.maxToolCalls !== undefined && this.total >= this.maxToolCalls) {
+      throw new ToolCallLimitError(
+        `Tool call budget exceeded: at most ${this.maxToolCalls} calls per execution (calling ${tool})`,
+        { tool, limit: this.maxToolCalls }
+      );
+    }
+
+    const toolLimit = this.perToolLimits[tool];
+    const count = this.counts[tool] || 0;
+    if (toolLimit !== undefined && count >= toolLimit) {
+      throw new ToolCallLimitError(
+        `Tool call budget exceeded: at most ${toolLimit} calls to ${tool} per execution`,
+        { tool, limit: toolLimit }
+      );
+    }
+
+    this.total++;
+    this.counts[tool] = count + 1;
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Execution finished before the tool call could start');
+    }
+    if (this.maxConcurrentToolCalls === undefined || this.active < this.maxConcurrentToolCalls) {
+      this.active++;
+      return;
+    }
+    // The slot is handed over by release(), so `active` stays unchanged
+    await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Reject calls still waiting for a slot once the execution is over
+   */
+  close() {
+    this.closed = true;
+    for (const { reject } of this.waiting.splice(0)) {
+      reject(new Error('Execution finished before the tool call could start'));
+    }
+  }
+
+  /**
+   * Calls made so far, by tool
+   */
+  getCounts() {
+    return { ...this.counts };
+  }
+}
+
+module.exports = ToolCallLimiter;
@@ -0,0 +1,90 @@
+/**
+ * Tool Call Trace - Records every MCP call made during an execution
+ */
+
+const DEFAULT_MAX_PREVIEW_LENGTH = 1000;
+
+/**
+ * JSON-encode a value for the trace, cutting it at `maxLength` characters
+ * @returns {string|undefined}
+ */
+function preview(value, maxLength) {
+  let json;
+  try {
+    json = JSON.stringify(value);
+  } catch {
+    json = String(value);
+  }
+  if (json === undefined || json.length <= maxLength) return json;
+  return `${json.slice(0, maxLength)}… [truncated, ${json.length} chars]`;
+}
+
+class ToolCallTrace {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPreviewLength=1000] - Characters kept of each
+   *   argument and result; larger values are truncated
+   */
+  constructor({ maxPreviewLength = DEFAULT_MAX_PREVIEW_LENGTH } = {}) {
+    this.maxPreviewLength = maxPreviewLength;
+    this.calls = [];
+    this.pending = new Map();
+  }
+
+  /**
+   * Run a call and record it. Entries are kept in the order calls started.
+   * `call` receives a function to report arguments rewritten before sending;
+   * the entry then holds those as `args` and the originals as `requestedArgs`.
+   */
+  async record(tool, args, call) {
+    const entry = { tool, args: this.previewArgs(args), durationMs: 0, ok: false };
+    this.calls.push(entry);
+
+    const reportSentArgs = (sentArgs) => {
+      entry.requestedArgs = entry.args;
+      entry.args = this.previewArgs(sentArgs);
+    };
+
+    const start = Date.now();
+    this.pending.set(entry, start);
+    try {
+      const value = await call(reportSentArgs);
+      entry.ok = true;
+      entry.resultPreview = preview(value, this.maxPreviewLength);
+      return value;
+    } catch (error) {
+      entry.error = error.message;
+      throw error;
+    } finally {
+      this.pending.delete(entry);
+      entry.durationMs = Date.now() - start;
+    }
+  }
+
+  /**
+   * Arguments are kept as-is when small, otherwise as a truncated JSON string
+   */
+  previewArgs(args) {
+    const json = preview(args, this.maxPreviewLength);
+    if (json === undefined || json.length > this.maxPreviewLength) return json;
+    try {
+      // A copy, so later mutation by the tool cannot change the record
+      return JSON.parse(json);
+    } catch {
+      return json;
+    }
+  }
+
+  /**
+   * Snapshot of the calls; ones still running (e.g. after a timeout or abort)
+   * are reported as failed with `error: 'unfinished'`
+   */
+  getCalls() {
+    const now = Date.now();
+    return this.calls.map(entry => this.pending.has(entry)
+      ? { ...entry, durationMs: now - this.pending.get(entry), error: 'unfinished' }
+      : { ...entry });
+  }
+}
+
+module.exports = ToolCallTrace;
@@ -0,0 +1,92 @@
+/**
+ * Tool Suggestions - "Did you mean" matches against the real tool list and
+ * argument hints from tool schemas
+ */
+
+const { jsonSchemaToTypeScript, createSchemaContext } = require('./schema-to-types');
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare names regardless of case and separators: `readFile`, `read_file`
+ * and `read-file` all become `readfile`
+ */
+function normalize(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Tools whose identifier or original name is close to `name`
+ * @param {string} name - The name used in code
+ * @param {Array<{identifier: string, name: string}>} tools
+ * @param {number} [maxResults=3]
+ * @returns {string[]} Identifiers, closest first
+ */
+function findSimilarTools(name, tools, maxResults = 3) {
+  const target = normalize(name);
+  const threshold = Math.max(2, Math.floor(target.length / 3));
+
+  return tools
+    .map(tool => ({
+      identifier: tool.identifier,
+      distance: Math.min(
+        editDistance(target, normalize(tool.identifier)),
+        editDistance(target, normalize(tool.name))
+      )
+    }))
+    .filter(match => match.distance <= threshold)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, maxResults)
+    .map(match => match.identifier);
+}
+
+/**
+ * `Did you mean 'read_file'?`, or null when nothing is close
+ */
+function didYouMean(name, tools) {
+  const matches = findSimilarTools(name, tools);
+  if (matches.length === 0) return null;
+  return `Did you mean ${matches.map(match => `'${match}'`).join(' or ')}?`;
+}
+
+/**
+ * One-line description of a tool's input, e.g.
+ * `ReadFileInput expects { path: string; encoding?: string }`
+ * @param {{inputType: string, inputSchema: Object}} tool
+ */
+function describeInput(tool) {
+  const schema = tool.inputSchema || { type: 'object', properties: {} };
+  const type = jsonSchemaToTypeScript(schema, 0, createSchemaContext(schema))
+    .replace(/\/\*\*[\s\S]*?\*\//g, '')
+    .replace(/;?\s*\n\s*(?=})/g, ' ')
+    .replace(/;?\s*\n\s*/g, '; ')
+    .replace(/\{\s*;\s*/g, '{ ')
+    .replace(/\s+/g, ' ')
+    .replace(/\{ \}/g, '{}');
+  return `${tool.inputType} expects ${type}`;
+}
+
+module.exports = {
+  editDistance,
+  findSimilarTools,
+  didYouMean,
+  describeInput
+};
@@ -0,0 +1,332 @@
+/**
+ * Tool Usage - Finds the MCP tools code can reach by walking its AST
+ *
+ * Follows `mcp.tool`, `mcp['tool']`, destructuring (`const { tool } = mcp`)
+ * and aliases (`const m = mcp`). Aliases are resolved through the checker's
+ * symbols, so a parameter or inner variable that shadows one is not `mcp`.
+ * Comments and strings are not code, so they never count. Access whose tool
+ * is only known at runtime (`mcp[name]`) is reported as dynamic.
+ */
+
+const ts = require('typescript');
+
+const GLOBAL_OBJECTS = new Set(['global', 'globalThis']);
+// Built-in helpers that sit next to the tools (`mcp.$resources.read()`)
+const HELPER_KEYS = new Set(['$resources', '$prompts']);
+
+const DYNAMIC_REASONS = {
+  computed: 'Tool name is computed at runtime',
+  rest: 'Rest element collects every remaining tool',
+  escape: 'MCP object is used as a value, so any of its tools can be reached'
+};
+
+/**
+ * Strip parentheses and type assertions, which do not change the value
+ */
+function unwrap(node) {
+  while (ts.isParenthesizedExpression(node) ||
+    ts.isAsExpression(node) ||
+    ts.isNonNullExpression(node) ||
+    ts.isTypeAssertionExpression(node) ||
+    ts.isSatisfiesExpression(node)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+function isAccessChain(node) {
+  return ts.isIdentifier(node) || ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node);
+}
+
+/**
+ * Identifiers that name something rather than read a value
+ */
+function isNamePosition(node, parent) {
+  if (!ts.isIdentifier(node)) return false;
+  if (ts.isShorthandPropertyAssignment(parent)) return false;
+  if (ts.isDeclaration(parent) && parent.name === node) return true;
+  if (ts.isBindingElement(parent) && parent.propertyName === node) return true;
+  return (ts.isLabeledStatement(parent) || ts.isBreakOrContinueStatement(parent)) && parent.label === node;
+}
+
+function isAssignmentOperator(kind) {
+  return kind >= ts.SyntaxKind.FirstAssignment && kind <= ts.SyntaxKind.LastAssignment;
+}
+
+/**
+ * Expressions that are written to: assignment and update targets, for-in/of
+ * targets and the parts of a destructuring assignment
+ */
+function isAssignmentTarget(node) {
+  const parent = node.parent;
+  if (ts.isParenthesizedExpression(parent)) return isAssignmentTarget(parent);
+  if (ts.isBinaryExpression(parent)) {
+    return parent.left === node && isAssignmentOperator(parent.operatorToken.kind);
+  }
+  if (ts.isPrefixUnaryExpression(parent) || ts.isPostfixUnaryExpression(parent)) {
+    return parent.operator === ts.SyntaxKind.PlusPlusToken || parent.operator === ts.SyntaxKind.MinusMinusToken;
+  }
+  if (ts.isForInStatement(parent) || ts.isForOfStatement(parent)) return parent.initializer === node;
+  if (ts.isShorthandPropertyAssignment(parent)) return parent.name === node && isAssignmentTarget(parent.parent);
+  if (ts.isPropertyAssignment(parent)) return parent.initializer === node && isAssignmentTarget(parent.parent);
+  if (ts.isSpreadAssignment(parent)) return isAssignmentTarget(parent.parent);
+  if (ts.isArrayLiteralExpression(parent) || ts.isSpreadElement(parent)) return isAssignmentTarget(parent);
+  return false;
+}
+
+/**
+ * Type checker for a single file, used only to resolve names to symbols
+ */
+function createChecker(sourceFile) {
+  const host = {
+    getSourceFile: fileName => fileName === sourceFile.fileName ? sourceFile : undefined,
+    getDefaultLibFileName: () => 'lib.d.ts',
+    writeFile: () => {},
+    getCurrentDirectory: () => '/',
+    getCanonicalFileName: fileName => fileName,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => '\n',
+    fileExists: fileName => fileName === sourceFile.fileName,
+    readFile: () => undefined
+  };
+  const program = ts.createProgram({
+    rootNames: [sourceFile.fileName],
+    options: { noLib: true, noResolve: true, target: ts.ScriptTarget.ES2020 },
+    host
+  });
+  return program.getTypeChecker();
+}
+
+/**
+ * Value of a string or number literal, or null for any other expression
+ */
+function getLiteralKey(expression) {
+  return ts.isStringLiteralLike(expression) || ts.isNumericLiteral(expression) ? expression.text : null;
+}
+
+/**
+ * Static property name, or null when it is computed from a non-literal
+ */
+function getStaticKey(name) {
+  if (ts.isIdentifier(name) || ts.isPrivateIdentifier(name)) return name.text;
+  if (ts.isComputedPropertyName(name)) return getLiteralKey(unwrap(name.expression));
+  return getLiteralKey(name);
+}
+
+/**
+ * Collect the tools referenced by a parsed file
+ * @param {ts.SourceFile} sourceFile
+ * @param {Object} [options]
+ * @param {string[]} [options.namespaces] - Server namespaces, when tools are
+ *   composed as `mcp.namespace.tool`
+ * @returns {{references: Array<{tool: string, node: ts.Node}>,
+ *   dynamic: Array<{node: ts.Node, reason: string, message: string}>}}
+ */
+function analyzeToolUsage(sourceFile, { namespaces = null } = {}) {
+  const namespaceSet = namespaces ? new Set(namespaces) : null;
+  const checker = createChecker(sourceFile);
+
+  // Symbol of a variable declared in the code, or null for globals
+  const declared = (identifier) => {
+    const symbol = ts.isShorthandPropertyAssignment(identifier.parent) && identifier.parent.name === identifier
+      ? checker.getShorthandAssignmentValueSymbol(identifier.parent)
+      : checker.getSymbolAtLocation(identifier);
+    return symbol && symbol.declarations && symbol.declarations.length ? symbol : null;
+  };
+
+  // Symbol -> number of times the variable receives a value
+  const writes = new Map();
+  const countWrite = (identifier) => {
+    const symbol = declared(identifier);
+    if (symbol) writes.set(symbol, (writes.get(symbol) || 0) + 1);
+  };
+  const countWrites = (node) => {
+    if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name)) {
+      const list = node.parent;
+      const loop = list.parent;
+      const assigned = node.initializer ||
+        ts.isCatchClause(list) ||
+        ((ts.isForInStatement(loop) || ts.isForOfStatement(loop)) && loop.initializer === list);
+      if (assigned) countWrite(node.name);
+    } else if ((ts.isBindingElement(node) || ts.isParameter(node) ||
+      ts.isFunctionDeclaration(node) || ts.isClassDeclaration(node)) && node.name && ts.isIdentifier(node.name)) {
+      countWrite(node.name);
+    } else if (ts.isIdentifier(node) && isAssignmentTarget(node)) {
+      countWrite(node);
+    }
+    ts.forEachChild(node, countWrites);
+  };
+  countWrites(sourceFile);
+
+  // Symbol -> path of the object it holds: [] for `mcp` itself, [namespace]
+  // for a server's tools. Only variables whose every value is that same
+  // object are aliases; a reassigned `let` is not.
+  let aliases = new Map();
+  // Symbol -> each MCP object written to it in the current pass
+  let candidates;
+  let references;
+  let dynamic;
+
+  const alias = (identifier, path, node) => {
+    const symbol = declared(identifier);
+    if (!symbol) {
+      flag(node, 'escape');
+      return;
+    }
+    if (!candidates.has(symbol)) candidates.set(symbol, []);
+    candidates.get(symbol).push({ path, node });
+  };
+
+  const isTool = (path) => namespaceSet
+    ? (path.length === 2 && namespaceSet.has(path[0])) || (path.length === 1 && !namespaceSet.has(path[0]))
+    : path.length === 1;
+
+  const flag = (node, reason) => {
+    dynamic.push({ node, reason, message: DYNAMIC_REASONS[reason] });
+  };
+
+  // Extend an object path by one property; tools are recorded, not returned.
+  // Helpers are neither tools nor a way to reach one, so they end the path.
+  const member = (path, key, node) => {
+    const next = [...path, key];
+    if (isTool(next)) {
+      if (HELPER_KEYS.has(key)) return null;
+      references.push({ tool: next.join('.'), node });
+      return null;
+    }
+    return next;
+  };
+
+  // Path of the MCP object an expression evaluates to, or null
+  const resolve = (node) => {
+    node = unwrap(node);
+
+    if (ts.isIdentifier(node)) {
+      const symbol = declared(node);
+      if (!symbol) return node.text === 'mcp' ? [] : null;
+      return aliases.get(symbol) || null;
+    }
+
+    if (ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) {
+      const key = ts.isPropertyAccessExpression(node)
+        ? node.name.text
+        : getLiteralKey(unwrap(node.argumentExpression));
+      const object = unwrap(node.expression);
+
+      if (ts.isIdentifier(object) && GLOBAL_OBJECTS.has(object.text) && !declared(object)) {
+        if (key === 'mcp') return [];
+        if (key === null) visit(node.argumentExpression);
+        return null;
+      }
+
+      const path = resolve(node.expression);
+      if (ts.isElementAccessExpression(node)) visit(node.argumentExpression);
+      if (!path) return null;
+      if (key === null) {
+        flag(node, 'computed');
+        return null;
+      }
+      return member(path, key, node);
+    }
+
+    visit(node);
+    return null;
+  };
+
+  // Record what a declaration takes from an MCP object
+  const bind = (name, path) => {
+    if (ts.isIdentifier(name)) {
+      alias(name, path, name);
+    } else if (ts.isObjectBindingPattern(name)) {
+      for (const element of name.elements) {
+        if (element.dotDotDotToken) {
+          flag(element, 'rest');
+          continue;
+        }
+        const key = getStaticKey(element.propertyName || element.name);
+        if (key === null) {
+          flag(element, 'computed');
+          continue;
+        }
+        const next = member(path, key, element);
+        if (next) bind(element.name, next);
+      }
+    } else {
+      flag(name, 'escape');
+    }
+  };
+
+  // An outermost access chain: follow it, then check what its value is used for
+  const use = (node) => {
+    const path = resolve(node);
+    if (!path) return;
+
+    let outer = node;
+    while (outer.parent && unwrap(outer.parent) !== outer.parent && outer.parent.expression === outer) {
+      outer = outer.parent;
+    }
+    const parent = outer.parent;
+
+    if (ts.isVariableDeclaration(parent) && parent.initializer === outer) {
+      bind(parent.name, path);
+    } else if (ts.isBinaryExpression(parent) && parent.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+      if (parent.left === outer) return;
+      if (ts.isIdentifier(parent.left)) {
+        alias(parent.left, path, node);
+      } else {
+        flag(node, 'escape');
+      }
+    } else if (!ts.isTypeOfExpression(parent) && !ts.isForInStatement(parent)) {
+      flag(node, 'escape');
+    }
+  };
+
+  const visit = (node) => {
+    if (ts.isTypeNode(node) && !ts.isExpressionWithTypeArguments(node)) return;
+    if (isAccessChain(node)) {
+      use(node);
+      return;
+    }
+    ts.forEachChild(node, child => {
+      if (!isNamePosition(child, node)) visit(child);
+    });
+  };
+
+  // A variable is an alias when every value it receives is the same MCP object
+  const confirm = () => {
+    const confirmed = new Map();
+    for (const [symbol, entries] of candidates) {
+      const key = entries[0].path.join('.');
+      if (entries.length === writes.get(symbol) && entries.every(entry => entry.path.join('.') === key)) {
+        confirmed.set(symbol, entries[0].path);
+      }
+    }
+    return confirmed;
+  };
+
+  // Repeat until the aliases settle, so an alias used above its declaration
+  // (e.g. in a hoisted function) is still followed
+  let settled = false;
+  while (!settled) {
+    candidates = new Map();
+    references = [];
+    dynamic = [];
+    visit(sourceFile);
+
+    const confirmed = confirm();
+    settled = confirmed.size === aliases.size && [...confirmed.keys()].every(symbol => aliases.has(symbol));
+    aliases = confirmed;
+  }
+
+  // The MCP object also reaches variables that hold other values, so their
+  // uses cannot be followed
+  for (const [symbol, entries] of candidates) {
+    if (!aliases.has(symbol)) entries.forEach(entry => flag(entry.node, 'escape'));
+  }
+
+  return { references, dynamic };
+}
+
+module.exports = {
+  analyzeToolUsage
+};
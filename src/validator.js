@@ -1,6 +1,109 @@
 const ts = require('typescript');
-const fs = require('fs').promises;
-const path = require('path');
+const { sliceSourceMap, inlineSourceMapComment } = require('./source-map');
+const { didYouMean, describeInput } = require('./tool-suggestions');
+const { analyzeToolUsage } = require('./tool-usage');
+
+const USER_FILE = '/user-code.ts';
+const DECLARATIONS_FILE = '/mcp.d.ts';
+const GLOBALS_FILE = '/sandbox-globals.d.ts';
+const SESSION_FILE = '/session-globals.d.ts';
+
+// "Property does not exist" errors, checked for misspelled tool names
+const MISSING_PROPERTY_CODES = new Set([2339, 2551]);
+// Assignability errors, which inside a tool call mean wrong arguments
+const ARGUMENT_CODES = new Set([2322, 2345, 2353, 2559, 2561, 2739, 2740, 2741]);
+const TOOL_CALL_PATTERN = /^mcp\.(\w+(?:\.\w+)?)$/;
+
+// User code is type-checked inside the same async wrapper the sandbox uses,
+// so top-level await and return statements are valid. The start marker
+// trails an empty statement so it is emitted even when the code opens with
+// a declaration that compiles away (an interface or type alias).
+const USER_CODE_PREFIX = '(async () => {\n;// User code\n';
+const USER_CODE_SUFFIX = '\n// End user code\n})();\n';
+
+// Globals the sandbox provides on top of the ES2020 lib
+const SANDBOX_GLOBALS = `
+interface Console {
+  log(...args: any[]): void;
+  error(...args: any[]): void;
+  warn(...args: any[]): void;
+}
+declare const console: Console;
+declare function setTimeout(fn: (...args: any[]) => void, delay?: number): void;
+`;
+
+/**
+ * Statements at the top level of the user code, i.e. inside the async wrapper
+ */
+function getUserStatements(sourceFile) {
+  const [wrapper] = sourceFile.statements;
+  let node = wrapper && ts.isExpressionStatement(wrapper) ? wrapper.expression : null;
+  if (node && ts.isCallExpression(node)) node = node.expression;
+  if (node && ts.isParenthesizedExpression(node)) node = node.expression;
+  if (node && ts.isArrowFunction(node) && ts.isBlock(node.body)) return node.body.statements;
+  return [];
+}
+
+/**
+ * Names bound by a declaration, including destructuring patterns
+ */
+function getBindingNames(name) {
+  if (ts.isIdentifier(name)) return [name];
+  return name.elements.flatMap(element =>
+    ts.isOmittedExpression(element) ? [] : getBindingNames(element.name)
+  );
+}
+
+/**
+ * Top-level variables, functions and classes, plus the type aliases and
+ * interfaces their types may refer to
+ */
+function collectTopLevelDeclarations(sourceFile) {
+  const values = [];
+  const types = [];
+
+  for (const statement of getUserStatements(sourceFile)) {
+    if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        values.push(...getBindingNames(declaration.name));
+      }
+    } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+      values.push(statement.name);
+    } else if (ts.isTypeAliasDeclaration(statement) || ts.isInterfaceDeclaration(statement)) {
+      types.push({ name: statement.name.text, text: statement.getText(sourceFile) });
+    }
+  }
+
+  return { values, types };
+}
+
+/**
+ * Names of the classes declared anywhere in the user code. Their instance
+ * types cannot be named once the step is over.
+ */
+function collectClassNames(sourceFile) {
+  const names = new Set();
+  const visit = (node) => {
+    if ((ts.isClassDeclaration(node) || ts.isClassExpression(node)) && node.name) {
+      names.add(node.name.text);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return names;
+}
+
+// Parsed lib files are shared by every Validator in the process
+const fileCache = new Map();
+
+function getCachedFile(fileName, text) {
+  if (!fileCache.has(fileName)) {
+    const content = text !== undefined ? text : ts.sys.readFile(fileName);
+    if (content === undefined) return undefined;
+    fileCache.set(fileName, ts.createSourceFile(fileName, content, ts.ScriptTarget.ES2020, true));
+  }
+  return fileCache.get(fileName);
+}
 
 class Validator {
   constructor() {
@@ -13,13 +116,61 @@ class Validator {
       strictFunctionTypes: true,
       strictPropertyInitialization: true,
       noImplicitThis: true,
+      // LLM code routinely reads error.message in catch blocks
+      useUnknownInCatchVariables: false,
       alwaysStrict: true,
       skipLibCheck: true,
       allowJs: false,
       checkJs: false,
       esModuleInterop: true,
       resolveJsonModule: true,
-      noLib: false
+      noLib: false,
+      lib: ['lib.es2020.d.ts'],
+      types: [],
+      // Maps runtime errors back to the TypeScript the LLM wrote
+      sourceMap: true
+    };
+    this.declarationCache = null;
+  }
+
+  /**
+   * Names of the top-level declarations in code, without type-checking it
+   * @param {string} code
+   * @returns {string[]}
+   */
+  static getTopLevelNames(code) {
+    const source = `${USER_CODE_PREFIX}${code}${USER_CODE_SUFFIX}`;
+    const sourceFile = ts.createSourceFile(USER_FILE, source, ts.ScriptTarget.ES2020, true);
+    return collectTopLevelDeclarations(sourceFile).values.map(name => name.text);
+  }
+
+  /**
+   * The MCP tools code references, found from its syntax tree
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Server namespaces for composed tools
+   * @returns {{tools: string[], references: Object[], dynamic: Object[]}} Tool
+   *   identifiers in order of first use, each reference, and each access whose
+   *   tool is only known at runtime; locations are 1-based in `code`
+   */
+  static analyzeToolUsage(code, options = {}) {
+    const source = `${USER_CODE_PREFIX}${code}${USER_CODE_SUFFIX}`;
+    const sourceFile = ts.createSourceFile(USER_FILE, source, ts.ScriptTarget.ES2020, true);
+    const { references, dynamic } = analyzeToolUsage(sourceFile, options);
+
+    const userCodeStartLine = USER_CODE_PREFIX.split('\n').length - 1;
+    const locate = (node) => {
+      const start = node.getStart(sourceFile);
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(start);
+      return { line: line - userCodeStartLine + 1, column: character + 1, code: node.getText(sourceFile) };
+    };
+
+    return {
+      tools: [...new Set(references.map(reference => reference.tool))],
+      references: references.map(({ tool, node }) => ({ tool, ...locate(node) })),
+      dynamic: dynamic
+        .filter((entry, i) => dynamic.findIndex(other => other.node === entry.node) === i)
+        .map(({ node, reason, message }) => ({ reason, message, ...locate(node) }))
     };
   }
 
@@ -27,35 +178,40 @@ class Validator {
    * Validates TypeScript code against provided type definitions
    * @param {string} code - The TypeScript code to validate
    * @param {string} types - The TypeScript type definitions
-   * @returns {Object} Result with success, output, and errors
+   * @param {Object} [options]
+   * @param {string} [options.globals] - Extra ambient declarations, e.g. the
+   *   variables of a session
+   * @param {Object[]} [options.tools] - Tool descriptions (see
+   *   `MCPBridge.describeTools()`) used to add hints to errors
+   * @returns {Object} Result with success, output, and errors. On success,
+   *   `declarations` lists the code's top-level variables with their types.
    */
-  validate(code, types) {
-    // Combine types and code into a single source
-    const fullSource = `
-// Type definitions
-${types}
-
-// User code
-${code}
-`;
+  validate(code, types, options = {}) {
+    const source = `${USER_CODE_PREFIX}${code}${USER_CODE_SUFFIX}`;
+    const userFile = ts.createSourceFile(USER_FILE, source, ts.ScriptTarget.ES2020, true);
+    const host = this.createVirtualHost(userFile, types, options.globals);
 
-    // Use transpileModule which includes default libs
-    const result = ts.transpileModule(fullSource, {
-      compilerOptions: {
-        target: ts.ScriptTarget.ES2020,
-        module: ts.ModuleKind.CommonJS,
-        strict: true,
-        noImplicitAny: true,
-        esModuleInterop: true,
-        skipLibCheck: false,
-        lib: ['es2020']
-      },
-      reportDiagnostics: true
+    const rootNames = [GLOBALS_FILE, DECLARATIONS_FILE, USER_FILE];
+    if (options.globals) rootNames.splice(2, 0, SESSION_FILE);
+
+    const program = ts.createProgram({
+      rootNames,
+      options: this.compilerOptions,
+      host
     });
 
-    // Check for errors in diagnostics
-    if (result.diagnostics && result.diagnostics.length > 0) {
-      const errors = this.formatDiagnostics(result.diagnostics, fullSource);
+    const diagnostics = [
+      ...program.getOptionsDiagnostics(),
+      ...program.getGlobalDiagnostics(),
+      ...program.getSyntacticDiagnostics(userFile),
+      ...program.getSemanticDiagnostics(userFile)
+    ].filter(d => d.category === ts.DiagnosticCategory.Error);
+
+    if (diagnostics.length > 0) {
+      const errors = this.formatDiagnostics(diagnostics, source);
+      if (options.tools) {
+        this.addToolHints(errors, diagnostics, userFile, options.tools);
+      }
       return {
         success: false,
         errors,
@@ -63,41 +219,88 @@ ${code}
       };
     }
 
-    // Extract just the user code part (skip type definitions)
-    const jsCode = this.extractUserCode(result.outputText, types);
+    let outputText = '';
+    let mapText = '';
+    program.emit(userFile, (fileName, text) => {
+      if (fileName.endsWith('.js')) outputText = text;
+      if (fileName.endsWith('.js.map')) mapText = text;
+    });
+
+    // Extract just the user code part (skip the type-checking wrapper)
+    const jsCode = this.extractUserCode(outputText);
+    const sourceMap = this.extractSourceMap(outputText, mapText, code);
 
     return {
       success: true,
-      output: jsCode,
-      sourceMap: result.sourceMapText
+      output: sourceMap ? `${jsCode}\n${inlineSourceMapComment(sourceMap)}` : jsCode,
+      sourceMap,
+      declarations: this.describeDeclarations(program, userFile)
+    };
+  }
+
+  /**
+   * Describe top-level declarations as `{ name, type }`, typed by the checker.
+   * Types that cannot be written outside the code (classes and their
+   * instances, truncated types) fall back to `any`.
+   * @returns {{values: Array<{name: string, type: string}>, types: Array<{name: string, text: string}>}}
+   */
+  describeDeclarations(program, userFile) {
+    const checker = program.getTypeChecker();
+    const { values, types } = collectTopLevelDeclarations(userFile);
+    const classNames = collectClassNames(userFile);
+
+    return {
+      values: values.map(name => {
+        // A class is persisted as a plain variable, so its name is no longer a type
+        if (ts.isClassDeclaration(name.parent)) return { name: name.text, type: 'any' };
+
+        const type = checker.typeToString(
+          checker.getTypeAtLocation(name),
+          undefined,
+          ts.TypeFormatFlags.NoTruncation
+        );
+        const unwritable = /\btypeof\b|\.\.\./.test(type) ||
+          type.split(/[^\w$]+/).some(word => classNames.has(word));
+        return { name: name.text, type: unwritable ? 'any' : type };
+      }),
+      // ...and annotations with the class name still need a type to refer to
+      types: [
+        ...types,
+        ...values
+          .filter(name => ts.isClassDeclaration(name.parent))
+          .map(name => ({ name: name.text, text: `type ${name.text} = any;` }))
+      ]
     };
   }
 
   /**
-   * Creates a virtual compiler host for in-memory compilation
+   * Creates a virtual compiler host for in-memory compilation.
+   * Lib files are parsed once per process, the MCP declarations once per
+   * type definition string (i.e. once per connection).
    */
-  createVirtualHost(source) {
-    const files = new Map();
-    files.set('virtual.ts', source);
+  createVirtualHost(userFile, types, globals) {
+    const declarationFile = this.getDeclarationFile(types);
+    const sessionFile = globals
+      ? ts.createSourceFile(SESSION_FILE, globals, ts.ScriptTarget.ES2020, true)
+      : undefined;
 
     return {
       getSourceFile: (fileName) => {
-        if (files.has(fileName)) {
-          return ts.createSourceFile(
-            fileName,
-            files.get(fileName),
-            ts.ScriptTarget.ES2020,
-            true
-          );
-        }
-        // Return undefined for lib files to use defaults
-        return undefined;
+        if (fileName === USER_FILE) return userFile;
+        if (fileName === DECLARATIONS_FILE) return declarationFile;
+        if (fileName === SESSION_FILE) return sessionFile;
+        if (fileName === GLOBALS_FILE) return getCachedFile(GLOBALS_FILE, SANDBOX_GLOBALS);
+        return getCachedFile(fileName);
       },
       writeFile: () => {},
-      getCurrentDirectory: () => process.cwd(),
+      getCurrentDirectory: () => '/',
       getDirectories: () => [],
-      fileExists: (fileName) => files.has(fileName),
-      readFile: (fileName) => files.get(fileName),
+      fileExists: (fileName) => fileName === USER_FILE ||
+        fileName === DECLARATIONS_FILE ||
+        fileName === GLOBALS_FILE ||
+        (fileName === SESSION_FILE && Boolean(sessionFile)) ||
+        ts.sys.fileExists(fileName),
+      readFile: (fileName) => ts.sys.readFile(fileName),
       getCanonicalFileName: (fileName) => fileName,
       useCaseSensitiveFileNames: () => true,
       getNewLine: () => '\n',
@@ -105,6 +308,19 @@ ${code}
     };
   }
 
+  /**
+   * Returns the parsed MCP declaration file, reparsing only when the types change
+   */
+  getDeclarationFile(types) {
+    if (!this.declarationCache || this.declarationCache.types !== types) {
+      this.declarationCache = {
+        types,
+        sourceFile: ts.createSourceFile(DECLARATIONS_FILE, types, ts.ScriptTarget.ES2020, true)
+      };
+    }
+    return this.declarationCache.sourceFile;
+  }
+
   /**
    * Formats TypeScript diagnostics into readable error objects
    */
@@ -117,7 +333,7 @@ ${code}
         '\n'
       );
 
-      if (diagnostic.file && diagnostic.start !== undefined) {
+      if (diagnostic.file && diagnostic.file.fileName === USER_FILE && diagnostic.start !== undefined) {
         const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
           diagnostic.start
         );
@@ -134,17 +350,65 @@ ${code}
           line: adjustedLine,
           column: character,
           code: codeLine.trim(),
+          diagnosticCode: diagnostic.code,
           severity: this.getSeverity(diagnostic.category)
         };
       }
 
       return {
         message,
+        diagnosticCode: diagnostic.code,
         severity: this.getSeverity(diagnostic.category)
       };
     });
   }
 
+  /**
+   * Add `suggestions` to errors about MCP calls: the closest tool names for
+   * a misspelled tool, the expected input for wrong arguments
+   */
+  addToolHints(errors, diagnostics, userFile, tools) {
+    const source = userFile.text;
+
+    diagnostics.forEach((diagnostic, i) => {
+      if (diagnostic.file !== userFile || diagnostic.start === undefined) return;
+
+      let hint = null;
+      if (MISSING_PROPERTY_CODES.has(diagnostic.code)) {
+        const receiver = source.slice(0, diagnostic.start).match(/\bmcp\.(?:(\w+)\.)?$/);
+        if (receiver) {
+          const property = source.substr(diagnostic.start, diagnostic.length);
+          hint = didYouMean(receiver[1] ? `${receiver[1]}.${property}` : property, tools);
+        }
+      } else if (ARGUMENT_CODES.has(diagnostic.code)) {
+        const toolName = this.findEnclosingToolCall(userFile, diagnostic.start);
+        const tool = toolName && tools.find(t => t.identifier === toolName);
+        if (tool) hint = describeInput(tool);
+      }
+
+      if (hint) errors[i].suggestions = [hint];
+    });
+  }
+
+  /**
+   * Identifier of the innermost `mcp.tool(...)` call around a position
+   */
+  findEnclosingToolCall(sourceFile, position) {
+    let found = null;
+
+    const visit = (node) => {
+      if (position < node.getStart(sourceFile) || position >= node.end) return;
+      if (ts.isCallExpression(node)) {
+        const match = node.expression.getText(sourceFile).match(TOOL_CALL_PATTERN);
+        if (match) found = match[1];
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+
+    return found;
+  }
+
   /**
    * Gets severity string from diagnostic category
    */
@@ -178,52 +442,127 @@ ${code}
         msg += `\n  > ${error.code}`;
       }
 
+      for (const suggestion of error.suggestions || []) {
+        msg += `\n  hint: ${suggestion}`;
+      }
+
       return msg;
     }).join('\n\n');
   }
 
   /**
-   * Extracts just the user code from transpiled output
+   * Extracts just the user code from emitted output
    */
-  extractUserCode(transpiledCode, types) {
-    // Remove the type definitions part from the output
-    // TypeScript transpiler comments them out but we want clean code
-    const lines = transpiledCode.split('\n');
+  extractUserCode(emittedCode) {
+    // Remove the async wrapper added for type-checking; the sandbox adds its own
+    const lines = emittedCode.split('\n');
     const userCodeStart = lines.findIndex(l => l.includes('// User code'));
+    const userCodeEnd = lines.findIndex(l => l.includes('// End user code'));
 
-    if (userCodeStart !== -1) {
-      return lines.slice(userCodeStart + 1).join('\n').trim();
+    if (userCodeStart !== -1 && userCodeEnd > userCodeStart) {
+      // Lines are kept exactly as emitted so source map columns stay valid
+      return lines.slice(userCodeStart + 1, userCodeEnd).join('\n');
     }
 
-    // Fallback: return everything after first few lines
-    return transpiledCode;
+    // Fallback: return the emitted code unchanged
+    return emittedCode;
   }
 
   /**
-   * Validates that code uses only allowed MCP tools
+   * Source map from the extracted user code (`user-code.js`, as run by the
+   * sandbox) to the code that was validated (`user-code.ts`)
+   * @returns {Object|null}
    */
-  validateMCPUsage(code, availableTools) {
-    const toolPattern = /mcp\.(\w+)\(/g;
-    const usedTools = new Set();
-    let match;
+  extractSourceMap(emittedCode, mapText, code) {
+    const lines = emittedCode.split('\n');
+    const userCodeStart = lines.findIndex(l => l.includes('// User code'));
+    const userCodeEnd = lines.findIndex(l => l.includes('// End user code'));
+    if (!mapText || userCodeStart === -1 || userCodeEnd <= userCodeStart) return null;
 
-    while ((match = toolPattern.exec(code)) !== null) {
-      usedTools.add(match[1]);
-    }
+    // User code starts on the line after the marker in the wrapped source too
+    const sourceStart = USER_CODE_PREFIX.split('\n').length - 1;
 
-    const invalidTools = Array.from(usedTools).filter(
-      tool => !availableTools.includes(tool)
-    );
+    return sliceSourceMap(JSON.parse(mapText), userCodeStart + 1, userCodeEnd, sourceStart, {
+      file: 'user-code.js',
+      sources: ['user-code.ts'],
+      sourcesContent: [code]
+    });
+  }
+
+  /**
+   * Validates that code uses only allowed MCP tools. Parses only, so it runs
+   * without type-checking.
+   * @param {string} code - The TypeScript code as submitted
+   * @param {string[]} availableTools - Tool identifiers the code may call
+   * @param {Object[]} [tools] - Tool descriptions, for "did you mean" hints
+   * @param {Object} [options]
+   * @param {string[]} [options.namespaces] - Server namespaces for composed tools
+   * @param {boolean} [options.strict=false] - Reject dynamic access such as
+   *   `mcp[name]` instead of only reporting it
+   * @param {Map<string, string>} [options.deniedTools] - Tools hidden by
+   *   policy, with the reason; referencing one is denied, not unknown
+   * @returns {Object} Result with success, `referencedTools` and
+   *   `dynamicAccess`; on failure `error` plus `invalidTools`,
+   *   `deniedTools` (`{ tool, reason }`) or the offending `dynamicAccess`
+   */
+  static validateMCPUsage(code, availableTools, tools = [], options = {}) {
+    const usage = Validator.analyzeToolUsage(code, { namespaces: options.namespaces });
+    const result = {
+      referencedTools: usage.tools,
+      references: usage.references,
+      dynamicAccess: usage.dynamic
+    };
 
-    if (invalidTools.length > 0) {
+    const denied = options.deniedTools || new Map();
+    const missingTools = usage.tools.filter(tool => !availableTools.includes(tool));
+    const deniedTools = missingTools
+      .filter(tool => denied.has(tool))
+      .map(tool => ({ tool, reason: denied.get(tool) }));
+    const invalidTools = missingTools.filter(tool => !denied.has(tool));
+
+    if (missingTools.length > 0) {
+      const errors = [];
+      if (deniedTools.length > 0) {
+        errors.push(`Code uses MCP tools that are not allowed: ${deniedTools
+          .map(({ tool, reason }) => `${tool} (${reason})`)
+          .join(', ')}`);
+      }
+      if (invalidTools.length > 0) {
+        errors.push(`Code uses undefined MCP tools: ${invalidTools.map(tool => {
+          const suggestion = didYouMean(tool, tools);
+          return suggestion ? `${tool} (${suggestion})` : tool;
+        }).join(', ')}`);
+      }
+      return {
+        success: false,
+        error: errors.join('; '),
+        invalidTools,
+        deniedTools,
+        ...result
+      };
+    }
+
+    if (options.strict && usage.dynamic.length > 0) {
       return {
         success: false,
-        error: `Code uses undefined MCP tools: ${invalidTools.join(', ')}`
+        error: `Code accesses MCP tools dynamically: ${usage.dynamic
+          .map(entry => `${entry.code} (line ${entry.line})`)
+          .join(', ')}`,
+        invalidTools: [],
+        deniedTools: [],
+        ...result
       };
     }
 
-    return { success: true };
+    return { success: true, ...result };
+  }
+
+  /**
+   * Same as `Validator.validateMCPUsage()`
+   */
+  validateMCPUsage(code, availableTools, tools, options) {
+    return Validator.validateMCPUsage(code, availableTools, tools, options);
   }
 }
 
-module.exports = Validator;
\ No newline at end of file
+module.exports = Validator;
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { connectCodeMode } = require('./helpers');
+
+test('does not question top-level await in runtime error suggestions', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const failures = [
+    "return await mcp.read_file({ path: 'missing' });",
+    'return await mcp.echo({ value: 1 }).then(() => { throw new Error("boom"); });'
+  ];
+
+  for (const code of failures) {
+    const result = await codeMode.execute(code);
+    assert.strictEqual(result.success, false);
+    const suggestions = result.diagnostics.flatMap(d => d.suggestions);
+    assert.ok(!suggestions.some(s => /async/.test(s)), JSON.stringify(suggestions));
+  }
+});
@@ -0,0 +1,80 @@
+/**
+ * In-process MCP servers over Streamable HTTP and SSE
+ */
+
+const http = require('http');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+/**
+ * A server with one `whoami` tool that reports the Authorization header of
+ * the HTTP request it was created for
+ */
+function createServer(headers) {
+  const server = new Server({ name: 'test-http', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'whoami', inputSchema: { type: 'object', properties: {} } }]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async () => ({
+    content: [{ type: 'text', text: JSON.stringify({ authorization: headers.authorization }) }]
+  }));
+  return server;
+}
+
+function listen(handler) {
+  const httpServer = http.createServer(handler);
+  return new Promise(resolve => {
+    httpServer.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: httpServer.address().port,
+        close: () => new Promise(done => {
+          httpServer.closeAllConnections();
+          httpServer.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Streamable HTTP server at `/mcp`
+ */
+async function startStreamableServer() {
+  const server = await listen(async (req, res) => {
+    if (req.url !== '/mcp') {
+      res.writeHead(404).end();
+      return;
+    }
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined, enableJsonResponse: true });
+    await createServer(req.headers).connect(transport);
+    await transport.handleRequest(req, res);
+  });
+  return { url: `http://127.0.0.1:${server.port}/mcp`, close: server.close };
+}
+
+/**
+ * Legacy SSE server at `/sse`, which rejects Streamable HTTP requests
+ */
+async function startSseServer() {
+  const transports = new Map();
+  const server = await listen(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/sse') {
+      const transport = new SSEServerTransport('/messages', res);
+      transports.set(transport.sessionId, transport);
+      await createServer(req.headers).connect(transport);
+    } else if (req.method === 'POST' && req.url.startsWith('/messages')) {
+      const sessionId = new URL(req.url, 'http://localhost').searchParams.get('sessionId');
+      await transports.get(sessionId).handlePostMessage(req, res);
+    } else {
+      res.writeHead(405).end();
+    }
+  });
+  return { url: `http://127.0.0.1:${server.port}/sse`, close: server.close };
+}
+
+module.exports = {
+  startStreamableServer,
+  startSseServer
+};
@@ -0,0 +1,75 @@
+/**
+ * Stdio MCP server used by the tests: a few tools, one resource and one prompt
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+
+const tools = [
+  {
+    name: 'read_file',
+    description: 'Read a file',
+    inputSchema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+  },
+  { name: 'echo', description: 'Return the arguments', inputSchema: { type: 'object', properties: { value: {} } } },
+  { name: 'slow', description: 'Wait before answering', inputSchema: { type: 'object', properties: { ms: { type: 'number' } } } },
+  { name: 'break_tool_list', description: 'Announce a tool list change, then fail to list tools', inputSchema: { type: 'object' } }
+];
+
+let toolListBroken = false;
+
+const text = value => ({ content: [{ type: 'text', text: JSON.stringify(value) }] });
+
+const server = new Server(
+  { name: 'test-stdio', version: '1.0.0' },
+  { capabilities: { tools: { listChanged: true }, resources: {}, prompts: {} } }
+);
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  if (toolListBroken) throw new Error('tool list unavailable');
+  return { tools };
+});
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  if (name === 'read_file') {
+    if (args.path === 'missing') return { isError: true, content: [{ type: 'text', text: 'file not found: missing' }] };
+    return text({ content: `hello from ${args.path}` });
+  }
+  if (name === 'echo') return text(args);
+  if (name === 'slow') {
+    await new Promise(resolve => setTimeout(resolve, args.ms || 100));
+    return text('done');
+  }
+  if (name === 'break_tool_list') {
+    toolListBroken = true;
+    await server.sendToolListChanged();
+    return text('broken');
+  }
+  throw new Error(`Unknown tool: ${name}`);
+});
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: [{ uri: 'file:///logs/app.log', name: 'app.log', description: 'Application logs' }]
+}));
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: [] }));
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+  contents: [{ uri: request.params.uri, mimeType: 'text/plain', text: `contents of ${request.params.uri}` }]
+}));
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: [{ name: 'summarize', description: 'Summarize text', arguments: [{ name: 'text', required: true }] }]
+}));
+server.setRequestHandler(GetPromptRequestSchema, async (request) => ({
+  messages: [{ role: 'user', content: { type: 'text', text: `Summarize: ${(request.params.arguments || {}).text}` } }]
+}));
+
+server.connect(new StdioServerTransport());
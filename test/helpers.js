@@ -0,0 +1,26 @@
+const path = require('path');
+const MCPCodeMode = require('..');
+
+const STDIO_SERVER = { command: process.execPath, args: [path.join(__dirname, 'fixtures', 'stdio-server.js')] };
+
+/**
+ * A connected MCPCodeMode for the stdio fixture server, disconnected when
+ * the test ends
+ * @param {import('node:test').TestContext} t
+ * @param {Object} [options] - MCPCodeMode options
+ * @param {string[]} [namespaces] - Compose the server under these namespaces
+ */
+async function connectCodeMode(t, options = {}, namespaces = null) {
+  const config = namespaces
+    ? Object.fromEntries(namespaces.map(namespace => [namespace, STDIO_SERVER]))
+    : STDIO_SERVER;
+  const codeMode = new MCPCodeMode(config, options);
+  await codeMode.connect();
+  t.after(() => codeMode.disconnect());
+  return codeMode;
+}
+
+module.exports = {
+  STDIO_SERVER,
+  connectCodeMode
+};
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SafetyLinter = require('../src/safety-linter');
+
+const linter = new SafetyLinter();
+const ruleIds = (code) => {
+  const { errors, warnings } = linter.lint(code);
+  return [...errors, ...warnings].map(finding => finding.ruleId);
+};
+
+test('flags loops that never end', () => {
+  assert.deepStrictEqual(ruleIds('while (true) { n++; }'), ['no-infinite-loop']);
+  assert.deepStrictEqual(ruleIds('for (;;) {}'), ['no-infinite-loop']);
+  assert.deepStrictEqual(ruleIds('do { n++; } while (1);'), ['no-infinite-loop']);
+  assert.deepStrictEqual(ruleIds('while (true) { items.forEach(() => { return; }); }'), ['no-infinite-loop']);
+});
+
+test('accepts loops with a way out or an await', () => {
+  assert.deepStrictEqual(ruleIds('while (true) { if (n++ > 3) break; }'), []);
+  assert.deepStrictEqual(ruleIds('while (true) { if (done()) return 1; }'), []);
+  assert.deepStrictEqual(ruleIds('while (true) { await pause(); }'), []);
+  assert.deepStrictEqual(ruleIds('outer: while (true) { for (const a of [1]) { break outer; } }'), []);
+  assert.deepStrictEqual(ruleIds('for (let i = 0; i < 3; i++) { n++; }'), []);
+});
+
+test('does not count a break that only leaves a nested loop or switch', () => {
+  assert.deepStrictEqual(ruleIds('while (true) { for (const a of [1]) { break; } }'), ['no-infinite-loop']);
+  assert.deepStrictEqual(ruleIds('while (true) { switch (x) { default: break; } }'), ['no-infinite-loop']);
+  assert.deepStrictEqual(ruleIds('while (true) { inner: { break inner; } }'), ['no-infinite-loop']);
+});
+
+test('warns about tool calls in loops with no way out', () => {
+  assert.deepStrictEqual(ruleIds('while (true) { await mcp.echo({}); }'), ['no-tool-call-in-unbounded-loop']);
+  assert.deepStrictEqual(
+    ruleIds('while (true) { const r = await mcp.echo({}); switch (r.kind) { default: break; } }'),
+    ['no-tool-call-in-unbounded-loop']
+  );
+  assert.deepStrictEqual(ruleIds('while (true) { const r = await mcp.echo({}); if (r.done) break; }'), []);
+  assert.deepStrictEqual(ruleIds('for (let page = 0; page < 3; page++) { await mcp.echo({ page }); }'), []);
+});
+
+test('flags eval and the Function constructor', () => {
+  assert.deepStrictEqual(ruleIds("eval('1');"), ['no-eval']);
+  assert.deepStrictEqual(ruleIds("new Function('return 1');"), ['no-eval']);
+  assert.deepStrictEqual(ruleIds("globalThis.eval('1');"), ['no-eval']);
+  assert.deepStrictEqual(ruleIds("(() => {}).constructor('return this')();"), ['no-eval']);
+  assert.deepStrictEqual(ruleIds("x.constructor.constructor('return this')();"), ['no-eval']);
+  assert.deepStrictEqual(ruleIds("Object.getPrototypeOf(async () => {}).constructor('return 1');"), ['no-eval']);
+});
+
+test('allows ordinary .constructor calls', () => {
+  assert.deepStrictEqual(ruleIds('const items = [1];\nconst copy = items.constructor(3);'), []);
+  assert.deepStrictEqual(ruleIds('const d = new Date();\nconst e = new d.constructor();'), []);
+});
+
+test('flags sandbox internals and prototype pollution', () => {
+  assert.deepStrictEqual(ruleIds("_logSync('x');"), ['no-sandbox-internals']);
+  assert.deepStrictEqual(ruleIds("globalThis['_mcpCallAsync'];"), ['no-sandbox-internals']);
+  assert.deepStrictEqual(ruleIds('const o = { _logSync: 1 };\no._logSync;'), []);
+  assert.deepStrictEqual(ruleIds('Array.prototype.map = null;'), ['no-prototype-pollution']);
+  assert.deepStrictEqual(ruleIds('obj.__proto__.x = 1;'), ['no-prototype-pollution']);
+  assert.deepStrictEqual(ruleIds("Object.defineProperty(Object.prototype, 'x', {});"), ['no-prototype-pollution']);
+  assert.deepStrictEqual(ruleIds('Object.assign({}, a);'), []);
+});
+
+test('reports findings with locations and configurable severities', () => {
+  const [finding] = new SafetyLinter().lint("const a = 1;\neval('a');").errors;
+  assert.deepStrictEqual(
+    { ruleId: finding.ruleId, severity: finding.severity, line: finding.line, column: finding.column, code: finding.code },
+    { ruleId: 'no-eval', severity: 'error', line: 2, column: 1, code: "eval('a')" }
+  );
+
+  const relaxed = new SafetyLinter({ rules: { 'no-eval': 'warning', 'no-infinite-loop': 'off' } }).lint("while (true) {}\neval('1');");
+  assert.strictEqual(relaxed.success, true);
+  assert.deepStrictEqual(relaxed.warnings.map(w => w.ruleId), ['no-eval']);
+
+  assert.throws(() => new SafetyLinter({ rules: { 'no-evil': 'off' } }), /Unknown lint rule 'no-evil'/);
+  assert.throws(() => new SafetyLinter({ rules: { 'no-eval': 'loud' } }), /Invalid severity 'loud'/);
+  assert.throws(() => new SafetyLinter({ rules: { toString: 'off' } }), /Unknown lint rule/);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ts = require('typescript');
+const { generateTypeScriptDefinitions, generateNamespacedDefinitions } = require('../src/schema-to-types');
+const Validator = require('../src/validator');
+const { connectCodeMode } = require('./helpers');
+
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+const tools = [
+  { name: 'plain', inputSchema: object({ path: { type: 'string', description: 'Path, e.g. "{root}/a"' } }) },
+  { name: 'merged', inputSchema: { allOf: [object({ x: { type: 'string' } }, { required: ['x'] }), object({ y: { type: 'number' } })] } },
+  { name: 'nullable', inputSchema: object({ x: { type: 'string' } }, { type: ['object', 'null'] }) },
+  {
+    name: 'outcome',
+    inputSchema: object({}),
+    outputSchema: { anyOf: [object({ ok: { const: true } }), object({ error: { type: 'string', description: 'a } brace' } })] }
+  }
+];
+
+function parseErrors(definitions) {
+  const file = ts.createSourceFile('/mcp.d.ts', definitions, ts.ScriptTarget.ES2020, true);
+  return file.parseDiagnostics.map(d => ts.flattenDiagnosticMessageText(d.messageText, '\n'));
+}
+
+test('declares only single object literals as interfaces', () => {
+  const definitions = generateTypeScriptDefinitions(tools);
+
+  assert.deepStrictEqual(parseErrors(definitions), []);
+  assert.match(definitions, /interface PlainInput \{/);
+  assert.match(definitions, /type MergedInput = \{/);
+  assert.match(definitions, /type NullableInput = \{/);
+  assert.match(definitions, /type OutcomeOutput = \{/);
+});
+
+test('type-checks calls against intersection and union inputs', () => {
+  const definitions = generateTypeScriptDefinitions(tools);
+  const validator = new Validator();
+
+  assert.strictEqual(validator.validate("await mcp.merged({ x: 'a', y: 1 });", definitions).success, true);
+  assert.strictEqual(validator.validate('await mcp.merged({ y: 1 });', definitions).success, false);
+  assert.strictEqual(validator.validate('await mcp.nullable(null);', definitions).success, true);
+});
+
+test('gives prompts and $ref types distinct names when their names collide', () => {
+  const refTool = {
+    name: 'get',
+    inputSchema: object({ a: { $ref: '#/$defs/SummaryPromptArgs' } }, { $defs: { SummaryPromptArgs: { type: 'number' } } })
+  };
+  const prompts = [
+    { name: 'get-summary', arguments: [{ name: 'text' }] },
+    { name: 'get_summary', arguments: [{ name: 'length', required: true }] }
+  ];
+  const definitions = generateTypeScriptDefinitions([refTool], { prompts });
+  const names = [...definitions.matchAll(/^(?:interface|type) (\w+)/gm)].map(m => m[1]);
+  const validator = new Validator();
+
+  assert.deepStrictEqual(names.filter((name, i) => names.indexOf(name) !== i), []);
+  assert.strictEqual(validator.validate("await mcp.$prompts.get('get-summary', { text: 'a' });", definitions).success, true);
+  assert.strictEqual(validator.validate("await mcp.$prompts.get('get_summary', { length: '1' });", definitions).success, true);
+  assert.strictEqual(validator.validate("await mcp.$prompts.get('get_summary', { text: 'a' });", definitions).success, false);
+  assert.strictEqual(validator.validate('await mcp.get({ a: 1 });', definitions).success, true);
+});
+
+test('numbers namespace prefixes that would produce the same type names', () => {
+  const definitions = generateNamespacedDefinitions({
+    fs: { tools: [{ name: 'read', inputSchema: object({ path: { type: 'string' } }) }] },
+    FS: { tools: [{ name: 'read', inputSchema: object({ count: { type: 'number' } }) }] },
+    a: { tools: [{ name: 'b_c', inputSchema: object({}) }] },
+    a_b: { tools: [{ name: 'c', inputSchema: object({}) }] }
+  });
+  const names = [...definitions.matchAll(/^(?:interface|type) (\w+)/gm)].map(m => m[1]);
+  const validator = new Validator();
+
+  assert.deepStrictEqual(names.filter((name, i) => names.indexOf(name) !== i), []);
+  assert.match(definitions, /interface FsReadInput/);
+  assert.match(definitions, /interface Fs2ReadInput/);
+  assert.match(definitions, /interface AB2CInput/);
+  assert.strictEqual(validator.validate("await mcp.fs.read({ path: 'a' });\nawait mcp.FS.read({ count: 1 });", definitions).success, true);
+  assert.strictEqual(validator.validate("await mcp.FS.read({ path: 'a' });", definitions).success, false);
+});
+
+test('names the numbered input type in argument hints', async (t) => {
+  const codeMode = await connectCodeMode(t, {}, ['fs', 'FS']);
+  const result = await codeMode.execute("return await mcp.FS.read_file({ pth: 'a' });");
+
+  assert.strictEqual(result.success, false);
+  assert.ok(result.diagnostics[0].suggestions.some(s => s.includes('Fs2ReadFileInput')), JSON.stringify(result.diagnostics));
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateAgainstSchema } = require('../src/schema-validation');
+
+test('reports path-precise type errors', () => {
+  const schema = {
+    type: 'object',
+    properties: { options: { type: 'object', properties: { limit: { type: 'number' } } } },
+    required: ['options']
+  };
+  assert.deepStrictEqual(validateAgainstSchema(schema, { options: { limit: '5' } }), [
+    'args.options.limit: expected number, got string'
+  ]);
+  assert.deepStrictEqual(validateAgainstSchema(schema, {}), ["args: missing required property 'options'"]);
+});
+
+test('follows $ref, allOf and anyOf', () => {
+  const schema = {
+    $defs: { id: { type: 'string' } },
+    allOf: [{ type: 'object', properties: { id: { $ref: '#/$defs/id' } } }],
+    anyOf: [{ required: ['id'] }, { required: ['name'] }]
+  };
+  assert.deepStrictEqual(validateAgainstSchema(schema, { id: 'a' }), []);
+  assert.deepStrictEqual(validateAgainstSchema(schema, { id: 1 }), ['args.id: expected string, got integer']);
+});
+
+test('validates recursive schemas level by level', () => {
+  const schema = {
+    $ref: '#/$defs/node',
+    $defs: {
+      node: {
+        type: 'object',
+        properties: { value: { type: 'number' }, children: { type: 'array', items: { $ref: '#/$defs/node' } } }
+      }
+    }
+  };
+  assert.deepStrictEqual(validateAgainstSchema(schema, { value: 1, children: [{ value: 2, children: [] }] }), []);
+  assert.deepStrictEqual(validateAgainstSchema(schema, { children: [{ value: 'x' }] }), [
+    'args.children[0].value: expected number, got string'
+  ]);
+});
+
+test('treats refs that cycle without consuming structure as unconstrained', () => {
+  assert.deepStrictEqual(validateAgainstSchema({ allOf: [{ $ref: '#' }] }, { x: 1 }), []);
+  assert.deepStrictEqual(validateAgainstSchema({ $ref: '#/$defs/a', $defs: { a: { $ref: '#/$defs/a' } } }, { x: 1 }), []);
+  assert.deepStrictEqual(
+    validateAgainstSchema({ type: 'object', properties: { x: { type: 'string' } }, allOf: [{ $ref: '#' }] }, { x: 1 }),
+    ['args.x: expected string, got integer']
+  );
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { connectCodeMode } = require('./helpers');
+
+test('keeps top-level variables between steps', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const session = codeMode.createSession();
+
+  const first = await session.execute("const greeting = 'hi';\nlet count = 1;");
+  assert.strictEqual(first.success, true, first.error);
+  assert.match(session.getDeclarations(), /declare var greeting: "hi";/);
+
+  const second = await session.execute('count++;\nreturn `${greeting} ${count}`;');
+  assert.strictEqual(second.success, true, second.error);
+  assert.strictEqual(second.value, 'hi 2');
+});
+
+test('does not declare variables a failed step never reached', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const session = codeMode.createSession();
+
+  const failed = await session.execute("const a = 1;\nthrow new Error('boom');\nlet late = 2;");
+  assert.strictEqual(failed.success, false);
+  assert.match(session.getDeclarations(), /declare var a: 1;/);
+  assert.doesNotMatch(session.getDeclarations(), /late/);
+
+  const next = await session.execute('return late;');
+  assert.strictEqual(next.success, false);
+  assert.strictEqual(next.error, 'TypeScript validation failed');
+
+  const kept = await session.execute('return a;');
+  assert.strictEqual(kept.value, 1);
+});
+
+test('keeps classes and their instances usable in later steps', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const session = codeMode.createSession();
+
+  const first = await session.execute('class Foo { n = 1; }\nconst f = new Foo();');
+  assert.strictEqual(first.success, true, first.error);
+  assert.match(session.getDeclarations(), /declare var Foo: any;/);
+  assert.match(session.getDeclarations(), /declare var f: any;/);
+  assert.match(session.getDeclarations(), /type Foo = any;/);
+
+  const second = await session.execute('const g: Foo = f;\nconst h = new Foo();\nreturn g.n + h.n;');
+  assert.strictEqual(second.success, true, second.validationErrors || second.error);
+  assert.strictEqual(second.value, 2);
+});
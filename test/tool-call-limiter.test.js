@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ToolCallLimiter = require('../src/tool-call-limiter');
+const { ToolCallLimitError } = require('../src/errors');
+const { connectCodeMode } = require('./helpers');
+
+test('rejects calls over the total and per-tool budgets', async () => {
+  const limiter = new ToolCallLimiter({ maxToolCalls: 2, perToolLimits: { write: 1 } });
+  const call = () => Promise.resolve('ok');
+
+  assert.strictEqual(await limiter.run('write', call), 'ok');
+  await assert.rejects(limiter.run('write', call), ToolCallLimitError);
+  assert.strictEqual(await limiter.run('read', call), 'ok');
+  await assert.rejects(limiter.run('read', call), /at most 2 calls per execution/);
+  assert.deepStrictEqual(limiter.getCounts(), { write: 1, read: 1 });
+});
+
+test('runs at most maxConcurrentToolCalls calls at once', async () => {
+  const limiter = new ToolCallLimiter({ maxConcurrentToolCalls: 2 });
+  let active = 0;
+  let peak = 0;
+  const call = async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+  };
+
+  await Promise.all(Array.from({ length: 5 }, () => limiter.run('slow', call)));
+  assert.strictEqual(peak, 2);
+});
+
+test('rejects invalid limits up front', () => {
+  assert.throws(() => new ToolCallLimiter({ maxConcurrentToolCalls: 0 }), /Invalid maxConcurrentToolCalls/);
+  assert.throws(() => new ToolCallLimiter({ maxConcurrentToolCalls: -1 }), /Invalid maxConcurrentToolCalls/);
+  assert.throws(() => new ToolCallLimiter({ maxToolCalls: '10' }), /Invalid maxToolCalls/);
+  assert.throws(() => new ToolCallLimiter({ maxToolCalls: 1.5 }), /Invalid maxToolCalls/);
+  assert.throws(() => new ToolCallLimiter({ perToolLimits: { write: -1 } }), /Invalid perToolLimits\['write'\]/);
+  assert.throws(() => new ToolCallLimiter({ perToolLimits: 5 }), /Invalid perToolLimits/);
+
+  assert.doesNotThrow(() => new ToolCallLimiter({ maxToolCalls: 0, maxConcurrentToolCalls: Infinity }));
+});
+
+test('reports budget errors and counts from an execution', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const result = await codeMode.execute(
+    'for (let i = 0; i < 3; i++) await mcp.echo({ value: i });',
+    { maxToolCalls: 2 }
+  );
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /budget exceeded/);
+  assert.deepStrictEqual(result.toolCallCounts, { echo: 2 });
+
+  await assert.rejects(codeMode.execute('return 1;', { maxConcurrentToolCalls: 0 }), /Invalid maxConcurrentToolCalls/);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { connectCodeMode } = require('./helpers');
+
+test('reports a failed tool list refresh and keeps the previous tools', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const failed = once(codeMode, 'toolsRefreshFailed');
+
+  await codeMode.bridge.callTool('break_tool_list', {});
+  const [{ error }] = await failed;
+
+  assert.match(error.message, /tool list unavailable/);
+  assert.ok(codeMode.availableTools.includes('echo'));
+});
+
+test('names the server whose tool list failed to refresh', async (t) => {
+  const codeMode = await connectCodeMode(t, {}, ['files']);
+  const failed = once(codeMode, 'toolsRefreshFailed');
+
+  await codeMode.bridges.get('files').callTool('break_tool_list', {});
+  const [event] = await failed;
+
+  assert.strictEqual(event.namespace, 'files');
+  assert.ok(event.error instanceof Error);
+});
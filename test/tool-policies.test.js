@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { connectCodeMode } = require('./helpers');
+
+test('reports a statically named filtered tool as denied, not unknown', async (t) => {
+  const codeMode = await connectCodeMode(t, { denyTools: ['slow'] });
+
+  for (const options of [{}, { skipValidation: true }]) {
+    const result = await codeMode.execute('return await mcp.slow({ ms: 1 });', options);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /not allowed: slow \(excluded by allowTools\/denyTools\)/);
+    assert.deepStrictEqual(result.diagnostics.map(d => d.code), ['PermissionDenied']);
+    assert.match(result.diagnostics[0].message, /excluded by allowTools\/denyTools/);
+    assert.deepStrictEqual(result.diagnostics[0].location, { line: 1, column: 14 });
+  }
+});
+
+test('reports denied and unknown tools separately', async (t) => {
+  const codeMode = await connectCodeMode(t, { allowTools: ['fs.echo'] }, ['fs']);
+  const result = await codeMode.execute('await mcp.fs.read_file({ path: "a" });\nawait mcp.fs.ech({});');
+
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.diagnostics.map(d => [d.code, d.snippet]), [
+    ['PermissionDenied', 'mcp.fs.read_file'],
+    ['UnknownTool', 'mcp.fs.ech']
+  ]);
+});
+
+test('traces the arguments onToolCall sends in place of the requested ones', async (t) => {
+  const codeMode = await connectCodeMode(t, {
+    onToolCall: ({ args }) => (args.value === 1 ? { args: { value: 'rewritten' } } : undefined)
+  });
+  const result = await codeMode.execute('await mcp.echo({ value: 1 });\nreturn await mcp.echo({ value: 2 });');
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.toolCalls.map(({ args, requestedArgs }) => ({ args, requestedArgs })), [
+    { args: { value: 'rewritten' }, requestedArgs: { value: 1 } },
+    { args: { value: 2 }, requestedArgs: undefined }
+  ]);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Validator = require('../src/validator');
+const { connectCodeMode } = require('./helpers');
+
+const analyze = (code, options) => Validator.analyzeToolUsage(code, options);
+
+test('finds tools through property access, literals, destructuring and aliases', () => {
+  assert.deepStrictEqual(analyze("await mcp.read_file({ path: 'a' });").tools, ['read_file']);
+  assert.deepStrictEqual(analyze("await mcp['read_file']({ path: 'a' });").tools, ['read_file']);
+  assert.deepStrictEqual(analyze('const { echo, slow: wait } = mcp;').tools, ['echo', 'slow']);
+  assert.deepStrictEqual(analyze('const f = mcp.echo;\nawait f({});').tools, ['echo']);
+  assert.deepStrictEqual(analyze('function g() { return m.echo({}); }\nconst m = mcp;').tools, ['echo']);
+  assert.deepStrictEqual(analyze('await globalThis.mcp.echo({});').tools, ['echo']);
+});
+
+test('does not follow names that shadow or reassign an alias', () => {
+  assert.deepStrictEqual(analyze('const m = mcp;\nconst names = items.map(m => m.name);\nawait m.echo({});').tools, ['echo']);
+  assert.deepStrictEqual(analyze('const m = mcp;\nfunction f(m) { return m.size; }').tools, []);
+  assert.deepStrictEqual(analyze('{ const mcp = { other: 1 };\nmcp.other; }').tools, []);
+
+  const reassigned = analyze('let m = mcp;\nm = { foo: 1 };\nm.foo;');
+  assert.deepStrictEqual(reassigned.tools, []);
+  assert.deepStrictEqual(reassigned.dynamic.map(d => d.reason), ['escape']);
+
+  assert.deepStrictEqual(analyze('let m;\nm = mcp;\nawait m.echo({});').tools, ['echo']);
+});
+
+test('runs code with shadowed aliases without type validation', async (t) => {
+  const codeMode = await connectCodeMode(t, { validateTypes: false });
+  const result = await codeMode.execute("const m = mcp;\nconst names = [{ name: 'a' }].map(m => m.name);\nreturn (await m.echo({ value: names })).value;");
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.value, ['a']);
+});
+
+test('ignores comments and strings', () => {
+  const usage = analyze("// mcp.hidden()\nconst s = 'mcp.other(';");
+  assert.deepStrictEqual(usage.tools, []);
+  assert.deepStrictEqual(usage.dynamic, []);
+});
+
+test('reports dynamic access with its location', () => {
+  const usage = analyze("const name = 'echo';\nawait mcp[name]({});");
+  assert.deepStrictEqual(usage.tools, []);
+  assert.deepStrictEqual(usage.dynamic.map(d => [d.reason, d.line, d.column, d.code]), [['computed', 2, 7, 'mcp[name]']]);
+
+  assert.deepStrictEqual(analyze('const { ...rest } = mcp;').dynamic.map(d => d.reason), ['rest']);
+  assert.deepStrictEqual(analyze('console.log(Object.keys(mcp));').dynamic.map(d => d.reason), ['escape']);
+});
+
+test('resolves namespaced tools', () => {
+  const usage = analyze("const { fs } = mcp;\nawait fs.read_file({});\nawait mcp.gh['issue']();", { namespaces: ['fs', 'gh'] });
+  assert.deepStrictEqual(usage.tools, ['fs.read_file', 'gh.issue']);
+});
+
+test('does not treat the $resources and $prompts helpers as tools', () => {
+  let usage = analyze("await mcp.$resources.read('file:///x');\nawait mcp.$prompts.get('summarize', {});");
+  assert.deepStrictEqual(usage.tools, []);
+  assert.deepStrictEqual(usage.dynamic, []);
+
+  usage = analyze("await mcp.ns.$prompts.get('summarize', {});\nconst { $resources } = mcp.ns;", { namespaces: ['ns'] });
+  assert.deepStrictEqual(usage.tools, []);
+  assert.deepStrictEqual(usage.dynamic, []);
+});
+
+test('executes code that reads resources and prompts', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const result = await codeMode.execute("const [log] = await mcp.$resources.read('file:///logs/app.log');\nreturn log.text;");
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.value, 'contents of file:///logs/app.log');
+  assert.deepStrictEqual(result.referencedTools, []);
+
+  const namespaced = await connectCodeMode(t, {}, ['ns']);
+  const prompt = await namespaced.execute("const p = await mcp.ns.$prompts.get('summarize', { text: 'hi' });\nreturn p.messages.length;");
+  assert.strictEqual(prompt.success, true, prompt.error);
+  assert.strictEqual(prompt.value, 1);
+});
+
+test('rejects dynamic access in strict mode', async (t) => {
+  const codeMode = await connectCodeMode(t, { strictToolUsage: true });
+  const result = await codeMode.execute("const n: string = 'echo';\nreturn await (mcp as any)[n]({});");
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /dynamically/);
+  assert.strictEqual(result.diagnostics[0].code, 'DynamicToolAccess');
+});
+
+test('checks tool usage without type validation', async (t) => {
+  const code = "const n = 'echo';\nreturn await mcp[n]({});";
+
+  const untyped = await connectCodeMode(t, { validateTypes: false, strictToolUsage: true });
+  const rejected = await untyped.execute(code);
+  assert.strictEqual(rejected.success, false);
+  assert.strictEqual(rejected.diagnostics[0].code, 'DynamicToolAccess');
+
+  const codeMode = await connectCodeMode(t);
+  const skipped = await codeMode.execute("return await mcp.echo({ value: 1 });", { skipValidation: true });
+  assert.strictEqual(skipped.success, true, skipped.error);
+  assert.deepStrictEqual(skipped.referencedTools, ['echo']);
+
+  const strict = await codeMode.execute(code, { skipValidation: true, strictToolUsage: true });
+  assert.strictEqual(strict.success, false);
+  assert.match(strict.error, /dynamically/);
+});
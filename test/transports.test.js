@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MCPBridge = require('../src/mcp-bridge');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { startStreamableServer, startSseServer } = require('./fixtures/http-servers');
+
+test('connects to a Streamable HTTP server and sends the configured headers', async (t) => {
+  const server = await startStreamableServer();
+  t.after(server.close);
+
+  const bridge = new MCPBridge({ url: server.url, headers: { Authorization: 'Bearer token' } });
+  await bridge.connect();
+  t.after(() => bridge.disconnect());
+
+  assert.ok(bridge.transport instanceof StreamableHTTPClientTransport);
+  assert.deepStrictEqual(bridge.tools.map(tool => tool.name), ['whoami']);
+  assert.deepStrictEqual(await bridge.callTool('whoami', {}), { authorization: 'Bearer token' });
+});
+
+test('falls back to SSE when the server does not speak Streamable HTTP', async (t) => {
+  const server = await startSseServer();
+  t.after(server.close);
+
+  const bridge = new MCPBridge({ url: server.url });
+  await bridge.connect();
+  t.after(() => bridge.disconnect());
+
+  assert.ok(bridge.transport instanceof SSEClientTransport);
+  assert.deepStrictEqual(bridge.tools.map(tool => tool.name), ['whoami']);
+  assert.deepStrictEqual(await bridge.callTool('whoami', {}), {});
+});
+
+test('reports both transport errors when neither works', async (t) => {
+  const server = await startStreamableServer();
+  t.after(server.close);
+
+  const bridge = new MCPBridge({ url: server.url.replace('/mcp', '/missing') });
+  await assert.rejects(bridge.connect(), /Could not connect to .*Streamable HTTP: .*SSE: /);
+  assert.strictEqual(bridge.client, null);
+});
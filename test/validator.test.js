@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { connectCodeMode } = require('./helpers');
+
+test('hints at the expected input for a misspelled argument property', async (t) => {
+  const codeMode = await connectCodeMode(t);
+  const result = await codeMode.execute("return await mcp.read_file({ pth: 'a.txt' });");
+
+  assert.strictEqual(result.success, false);
+  const diagnostic = result.diagnostics.find(d => d.code === 'TS2561');
+  assert.ok(diagnostic, JSON.stringify(result.diagnostics));
+  assert.ok(diagnostic.suggestions.some(s => s.includes('ReadFileInput expects { path: string }')), JSON.stringify(diagnostic.suggestions));
+});